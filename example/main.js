@@ -5,9 +5,15 @@
 const data = [
    {
       // key: 'a',              // keyboard key bound to section, uses defaults if undefined
+                                // (also 'KeyA' for the physical key, or with modifiers, e.g. 'Ctrl+a')
       value: 'value_1',         // value sent to section-select callback when section is selected
       image: './icons/apc.png', // optional url/path to image shown in section
       text: 'IFVs & APCs',      // text shown in section (also acts as aria-label for section)
+      // children: [...],       // optional sub-sections; the wheel navigates into them by itself
+      // disabled: true,        // optional; shows section greyed out and makes it unselectable
+      // description: '...',   // optional longer description shown on hover (also acts as aria-description)
+      // badge: 3,             // optional short label or count shown in the corner of section
+      // weight: 2,            // optional share of the wheel relative to other sections (default 1)
    },
    {
       value: 'value_2',
@@ -40,7 +46,21 @@ const unrawheel = document.querySelector('unrawheel-v1');
 // unrawheel.style.center.fillColor = '#CAA';
 // unrawheel.style.center.stroke.color = '#CCA';
 
+// * Note: to change the style after the wheel has been rendered, use setStyle
+// unrawheel.setStyle({ center: { fillColor: '#CAA', stroke: { color: '#CCA' } } });
+
+// * Note: the same properties are also available as CSS custom properties on the element, e.g.
+// *    unrawheel-v1 { --unrawheel-center-fill-color: #CAA; }
+// * and the parts of the wheel can be styled with ::part(), e.g. unrawheel-v1::part(section) { ... }
+// * or with your own stylesheet added to the shadow root:
+// unrawheel.addStylesheet('.section--empty { fill: #444; }');
+
+// * Note: texts read by screen readers can be changed (e.g. translated) before setting the sections
+// unrawheel.labels.back = 'takaisin';
+
 unrawheel.setSections(data);
+// * Note: you can also pass a promise of the data, or a function that loads the sections of each level:
+// unrawheel.setSections((item, path) => fetch(...).then((res) => res.json()));
 // * Note: you can also use the data attribute to set the section data:
 // unrawheel.setAttribute('data', JSON.stringify(data));
 
@@ -50,9 +70,16 @@ let counter = 0;
 unrawheel.addEventListener('section-select', (e) => {
    // * Note: this is the selected value
    console.log(e.detail.value);
+   updateSections(1);
+});
 
+// * Note: this event fires when the user selects the back section on the root level
+// * (on nested levels the wheel goes back by itself and fires section-back instead)
+unrawheel.addEventListener('cancel', () => updateSections(-1));
+
+function updateSections(step) {
    // I was too lazy to make actual test data, hence the mess here
-   counter += e.detail.value === -1 ? -1 : 1;
+   counter += step;
    if (counter === -1) counter = 0;
 
    /** @type {UnraWheelData} */
@@ -68,4 +95,15 @@ unrawheel.addEventListener('section-select', (e) => {
    // * Note: you can manually control the lock/unlock with toggleLockWheel()
    // * this works best if you don't set the auto-lock attribute on the element
    // unrawheel.toggleLockWheel(false);
+}
+
+// * Note: this event fires before a section is selected; call e.preventDefault() to keep it from being selected
+// unrawheel.addEventListener('before-select', (e) => {
+//    if (e.detail.value === 'value_2') e.preventDefault();
+// });
+
+// * Note: when using nested sections (children), this event fires once a section without children is selected
+unrawheel.addEventListener('path-select', (e) => {
+   // * Note: values of every selected section from the root level onwards
+   console.log(e.detail.path);
 });
@@ -23,85 +23,929 @@
 
 /**
  * @typedef {Object} UnraWheelSection
- * @property {string} [key] - keyboard key bound to section, uses defaults if undefined
+ * @property {string} [key] - keyboard key bound to section, uses defaults if undefined. Matched against
+ *    KeyboardEvent.key ('a', 'Enter') or KeyboardEvent.code ('KeyA'), optionally with modifiers ('Ctrl+Shift+a')
  * @property {*} value - value sent to section-select callback when section is selected
  * @property {string} text - text shown in section (also acts as aria-label for section)
  * @property {string} [image] - optional url/path to image shown in section
+ * @property {boolean} [disabled] - set to show section greyed out and make it unselectable
+ * @property {string} [description] - optional longer description shown on hover (also acts as aria-description)
+ * @property {string|number} [badge] - optional short label or count shown in the corner of section
+ * @property {number} [weight=1] - share of the wheel taken by section relative to other sections, e.g. 2 for a section twice as wide
+ * @property {UnraWheelData} [children] - optional sub-sections shown when section is selected
  */
 
 /** @typedef {Array<UnraWheelSection>} UnraWheelData */
 
+/**
+ * Loads sections of a level, e.g. from a server
+ * @callback UnraWheelLoader
+ * @param {UnraWheelSection|null} item - selected section whose children to load, null for the root level
+ * @param {Array<*>} path - values of the sections selected before item, from the root level
+ * @returns {UnraWheelData|string|null|Promise<UnraWheelData|string|null>} sections as array or JSON string;
+ *    null or an empty array if item has no children
+ */
+
+/** @typedef {'mouse'|'touch'|'keyboard'|'gamepad'|'programmatic'} UnraWheelInputSource - pen input counts as touch */
+
+/**
+ * @typedef {Object} UnraWheelSectionDetail - detail of section events
+ * @property {number} index - section index (-1 for back when it isn't shown as a section)
+ * @property {UnraWheelSection|null} item - item shown in section, null for the back section
+ * @property {*} value - value of item, undefined for the back section
+ * @property {string} key - key binding of section
+ * @property {UnraWheelInputSource} source - input used to point at or select the section
+ */
+
+/**
+ * @typedef {Object} UnraWheelKeyBinding
+ * @property {string} [key] - KeyboardEvent.key (or KeyboardEvent.code for multi-character names) to match
+ * @property {string} [code] - KeyboardEvent.code to match (default keys are matched by physical position)
+ * @property {boolean} ctrl
+ * @property {boolean} alt
+ * @property {boolean} shift
+ * @property {boolean} meta
+ */
+
+// default keys are matched by physical position (KeyboardEvent.code), these are their labels on a QWERTY layout
+// prettier-ignore
+const DEFAULT_KEYS = [
+   'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l',
+   'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p',
+   'z', 'x', 'c', 'v', 'b', 'n', 'm',
+   '1', '2', '3', '4', '5', '6', '7', '8', '9', '0'
+];
+
+/**
+ * Parse sections from a JSON string or array
+ * @param {string|UnraWheelData} data - sections as JSON string or array
+ * @returns {UnraWheelData} validated copies of the sections
+ */
+function readSections(data) {
+   if (typeof data === 'string') {
+      try {
+         data = JSON.parse(data);
+      } catch (e) {
+         throw new TypeError('[UnraWheel] Invalid data: failed to parse JSON string');
+      }
+   }
+   if (!Array.isArray(data)) throw new TypeError('[UnraWheel] Invalid data: expected an array');
+   if (data.length === 0) throw new TypeError('[UnraWheel] Invalid data: array cannot be empty');
+
+   return parseSections(data);
+}
+
+/**
+ * Validate sections (recursively for children)
+ * @param {Array} data - sections array
+ * @param {number[]} [parentIndices=[]] - indices of parent items, used in error messages
+ * @returns {UnraWheelData} validated copies of the sections
+ */
+function parseSections(data, parentIndices = []) {
+   return data.map((item, i) => {
+      const index = [...parentIndices, i].join('.');
+      item = Object.assign({}, item);
+
+      if (typeof item !== 'object' || item === null) {
+         throw new TypeError(`[UnraWheel] Invalid data: item at index ${index} must be an object`);
+      }
+
+      if (!Object.hasOwn(item, 'value')) throw new TypeError(`[UnraWheel] Invalid data: item at index ${index} must have a 'value' property`);
+
+      if (!Object.hasOwn(item, 'text')) throw new TypeError(`[UnraWheel] Invalid data: item at index ${index} must have a 'text' property`);
+      if (typeof item.text !== 'string') throw new TypeError(`[UnraWheel] Invalid data: 'text' in item at index ${index} must be a string`);
+
+      if (Object.hasOwn(item, 'image') && typeof item.image !== 'string') {
+         throw new TypeError(`[UnraWheel] Invalid data: 'image' in item at index ${index} must be a string (path or URL)`);
+      }
+
+      if (Object.hasOwn(item, 'disabled') && typeof item.disabled !== 'boolean') {
+         throw new TypeError(`[UnraWheel] Invalid data: 'disabled' in item at index ${index} must be a boolean`);
+      }
+
+      if (Object.hasOwn(item, 'description') && typeof item.description !== 'string') {
+         throw new TypeError(`[UnraWheel] Invalid data: 'description' in item at index ${index} must be a string`);
+      }
+
+      if (Object.hasOwn(item, 'badge') && typeof item.badge !== 'string' && typeof item.badge !== 'number') {
+         throw new TypeError(`[UnraWheel] Invalid data: 'badge' in item at index ${index} must be a string or a number`);
+      }
+
+      if (Object.hasOwn(item, 'weight') && !(typeof item.weight === 'number' && item.weight > 0 && Number.isFinite(item.weight))) {
+         throw new TypeError(`[UnraWheel] Invalid data: 'weight' in item at index ${index} must be a number greater than zero`);
+      }
+
+      if (Object.hasOwn(item, 'key') && (typeof item.key !== 'string' || parseKeyBinding(item.key) === null)) {
+         throw new TypeError(`[UnraWheel] Invalid data: 'key' in item at index ${index} must be a key binding (e.g. 'a', 'KeyA' or 'Ctrl+a')`);
+      }
+
+      if (Object.hasOwn(item, 'children')) {
+         if (!Array.isArray(item.children) || item.children.length === 0) {
+            throw new TypeError(`[UnraWheel] Invalid data: 'children' in item at index ${index} must be a non-empty array`);
+         }
+         item.children = parseSections(item.children, [...parentIndices, i]);
+      }
+
+      return item;
+   });
+}
+
+/**
+ * Bind keys to sections of a level. Explicit keys must be unique, default keys make way for them and follow the
+ * position on the page, so every page has the same keys
+ * @param {UnraWheelData} sections - validated sections; default keys are written to their key property
+ * @param {Map<string, string>} reservedKeys - ids of key bindings taken by other sections (e.g. back), and the
+ *    names of those sections for error messages
+ * @param {number} [pageSize=Infinity] - amount of sections on each page
+ * @param {number[]} [parentIndices=[]] - indices of parent items, used in error messages
+ * @returns {Map<UnraWheelSection, UnraWheelKeyBinding>} bindings of sections that got a key
+ */
+function bindKeys(sections, reservedKeys, pageSize = Infinity, parentIndices = []) {
+   const bindings = new Map();
+   const usedKeys = new Map(reservedKeys);
+   sections.forEach((item, i) => {
+      if (!Object.hasOwn(item, 'key')) return;
+
+      const binding = parseKeyBinding(item.key);
+      const id = getKeyBindingId(binding);
+      if (usedKeys.has(id)) {
+         throw new TypeError(`[UnraWheel] Invalid data: 'key' in item at index ${[...parentIndices, i].join('.')} conflicts with ${usedKeys.get(id)}`);
+      }
+      usedKeys.set(id, `item at index ${[...parentIndices, i].join('.')}`);
+      bindings.set(item, binding);
+   });
+
+   let pageKeys = usedKeys;
+   sections.forEach((item, i) => {
+      if (i % pageSize === 0) pageKeys = new Map(usedKeys);
+      if (bindings.has(item)) return;
+
+      const slot = i % pageSize;
+      const isFree = (key) => !pageKeys.has(getKeyBindingId(getDefaultKeyBinding(key)));
+      const key = isFree(DEFAULT_KEYS[slot]) ? DEFAULT_KEYS[slot] : DEFAULT_KEYS.find(isFree);
+      if (key === undefined) return;
+
+      item.key = key;
+      bindings.set(item, getDefaultKeyBinding(key));
+      pageKeys.set(getKeyBindingId(bindings.get(item)), `item at index ${[...parentIndices, i].join('.')}`);
+   });
+
+   return bindings;
+}
+
+/**
+ * Split a level into pages if it has more items than the sections can show. Pages have the previous page section
+ * first and the next page section last, which are left out (previous first) when there's no room for them
+ * @param {number} itemCount - amount of items on the level
+ * @param {number} slots - amount of sections for items and page sections
+ * @returns {{pageSize: number, hasPrevious: boolean, hasNext: boolean}} amount of items on each page (Infinity if
+ *    the level fits without pages), and which page sections are shown
+ */
+function getPageLayout(itemCount, slots) {
+   if (itemCount <= slots) return { pageSize: Infinity, hasPrevious: false, hasNext: false };
+
+   const pageSize = Math.max(1, slots - 2);
+   return { pageSize, hasPrevious: slots - pageSize >= 2, hasNext: slots - pageSize >= 1 };
+}
+
+/**
+ * Parse a key binding, e.g. 'a', 'KeyA', 'Enter' or 'Ctrl+Shift+a'
+ * @param {string} binding
+ * @returns {UnraWheelKeyBinding|null} null if binding is invalid
+ */
+function parseKeyBinding(binding) {
+   let key = binding;
+   let modifiers = [];
+
+   // the plus key itself can be bound too, e.g. '+' or 'Ctrl++'
+   if (binding.endsWith('+')) {
+      const rest = binding.slice(0, -1);
+      if (rest !== '' && !rest.endsWith('+')) return null;
+      key = '+';
+      modifiers = rest === '' ? [] : rest.slice(0, -1).split('+');
+   } else if (binding.includes('+')) {
+      modifiers = binding.split('+');
+      key = modifiers.pop();
+   }
+
+   if (key === '') return null;
+
+   const result = { key, ctrl: false, alt: false, shift: false, meta: false };
+   for (const modifier of modifiers) {
+      const name = modifier.toLowerCase() === 'control' ? 'ctrl' : modifier.toLowerCase();
+      if (!['ctrl', 'alt', 'shift', 'meta'].includes(name) || result[name]) return null;
+      result[name] = true;
+   }
+
+   return result;
+}
+
+/**
+ * Get binding of a default key; default keys are matched by physical position so they work on any layout
+ * @param {string} key - key from DEFAULT_KEYS
+ * @returns {UnraWheelKeyBinding}
+ */
+function getDefaultKeyBinding(key) {
+   const code = /[0-9]/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`;
+   return { code, ctrl: false, alt: false, shift: false, meta: false };
+}
+
+/**
+ * Get identifier of a key binding for detecting conflicts ('a' and 'KeyA' are considered the same, and so are 'A'
+ * and 'Shift+a', as an uppercase letter is typed with shift)
+ * @param {UnraWheelKeyBinding} binding
+ * @returns {string}
+ */
+function getKeyBindingId(binding) {
+   let key = binding.code ?? binding.key;
+   const modifiers = { ...binding, shift: binding.shift || (binding.code === undefined && /^[A-Z]$/.test(key)) };
+   if (/^[a-z]$/i.test(key)) key = `Key${key.toUpperCase()}`;
+   else if (/^[0-9]$/.test(key)) key = `Digit${key}`;
+
+   return ['ctrl', 'alt', 'shift', 'meta']
+      .filter((modifier) => modifiers[modifier])
+      .concat(key)
+      .join('+');
+}
+
+// wheel geometry in svg units, the wheel being a circle of radius 1 around the origin
+const WHEEL_RADIUS = 0.99;
+const CENTER_RADIUS = 0.18;
+const IMAGE_DISTANCE = 0.65; // distance of section images from center
+const LABEL_ARC_DISTANCE = 0.88; // distance of curved labels from center
+const MAX_KEY_DISTANCE = 0.45; // keys too wide for their section move outwards up to this distance
+const TEXT_PADDING = 0.85; // share of the space left for a text that it may take up
+
+/**
+ * @typedef {Object} UnraWheelArc - how sections are laid out on the wheel
+ * @property {number|null} startAngle - where the first section starts, in degrees clockwise from top; null for default
+ * @property {number} sweepAngle - how much of the circle the sections cover, in degrees
+ * @property {boolean} counterClockwise - true if sections are laid out counter-clockwise
+ * @property {number} backIndex - section index of back section, -1 if it isn't a section
+ */
+
+/**
+ * Get angle where the first section starts
+ * @param {UnraWheelArc} arc
+ * @param {number[]} [weights=[]] - section weights, needed to center a section on a full wheel
+ * @returns {number} angle in radians (svg coordinates, clockwise from the right)
+ */
+function getArcStart(arc, weights = []) {
+   if (arc.startAngle !== null) return ((arc.startAngle - 90) * Math.PI) / 180;
+
+   // partial arcs start from the left
+   if (arc.sweepAngle < 360) return Math.PI;
+
+   // full wheel has the back section centered on the left, or the first section centered on top without one
+   const direction = arc.counterClockwise ? -1 : 1;
+   const step = (2 * Math.PI) / weights.reduce((sum, weight) => sum + weight, 0);
+   if (arc.backIndex === -1) return -Math.PI / 2 - (direction * weights[0] * step) / 2;
+
+   const weightAfterBack = weights.slice(arc.backIndex + 1).reduce((sum, weight) => sum + weight, 0);
+   return Math.PI + direction * (weights[arc.backIndex] / 2 + weightAfterBack) * step;
+}
+
+/**
+ * Get start and end angles of sections
+ * @param {UnraWheelArc} arc
+ * @param {number[]} weights - section weights; a section's share of the arc is its weight relative to the others
+ * @returns {Array<{startAngle: number, endAngle: number}>} angles in radians
+ */
+function getSectionAngles(arc, weights) {
+   const direction = arc.counterClockwise ? -1 : 1;
+   const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+   const angleStep = (arc.sweepAngle * Math.PI) / 180 / totalWeight; // angle of a section with weight 1
+   const angleOffset = getArcStart(arc, weights);
+
+   let weightSoFar = 0;
+   return weights.map((weight) => {
+      const from = angleOffset + direction * weightSoFar * angleStep;
+      weightSoFar += weight;
+      const to = angleOffset + direction * weightSoFar * angleStep;
+      return { startAngle: Math.min(from, to), endAngle: Math.max(from, to) };
+   });
+}
+
+/**
+ * Get bounding box of the arc and center circle, so partial arcs don't leave empty space around them
+ * @param {UnraWheelArc} arc
+ * @returns {{x: number, y: number, width: number, height: number}} view box in svg units
+ */
+function getViewBox(arc) {
+   if (arc.sweepAngle >= 360) return { x: -1, y: -1, width: 2, height: 2 };
+
+   const start = getArcStart(arc);
+   const end = start + ((arc.counterClockwise ? -1 : 1) * arc.sweepAngle * Math.PI) / 180;
+   const [from, to] = [Math.min(start, end), Math.max(start, end)];
+
+   // arc ends, the extremes of the circle that lie on the arc, and the center circle
+   const angles = [from, to];
+   for (let angle = Math.ceil(from / (Math.PI / 2)) * (Math.PI / 2); angle < to; angle += Math.PI / 2) angles.push(angle);
+   const xs = angles.map((angle) => Math.cos(angle)).concat(-CENTER_RADIUS, CENTER_RADIUS);
+   const ys = angles.map((angle) => Math.sin(angle)).concat(-CENTER_RADIUS, CENTER_RADIUS);
+
+   const padding = 0.02;
+   const x = Math.min(...xs) - padding;
+   const y = Math.min(...ys) - padding;
+   return { x, y, width: Math.max(...xs) + padding - x, height: Math.max(...ys) + padding - y };
+}
+
+/**
+ * Get path of a sector of the wheel, or of a ring if inner radius is given
+ * @param {number} startAngle - in radians
+ * @param {number} endAngle - in radians
+ * @param {number} [outerRadius=WHEEL_RADIUS]
+ * @param {number} [innerRadius=0]
+ * @returns {string} path data
+ */
+function getSectorPath(startAngle, endAngle, outerRadius = WHEEL_RADIUS, innerRadius = 0) {
+   const x1 = Math.cos(startAngle) * outerRadius;
+   const y1 = Math.sin(startAngle) * outerRadius;
+   const x2 = Math.cos(endAngle) * outerRadius;
+   const y2 = Math.sin(endAngle) * outerRadius;
+   const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+
+   if (innerRadius === 0) return `M 0 0 L ${x1} ${y1} A ${outerRadius} ${outerRadius} 0 ${largeArc} 1 ${x2} ${y2} Z`;
+
+   const x3 = Math.cos(endAngle) * innerRadius;
+   const y3 = Math.sin(endAngle) * innerRadius;
+   const x4 = Math.cos(startAngle) * innerRadius;
+   const y4 = Math.sin(startAngle) * innerRadius;
+   return `M ${x1} ${y1} A ${outerRadius} ${outerRadius} 0 ${largeArc} 1 ${x2} ${y2} L ${x3} ${y3} A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${x4} ${y4} Z`;
+}
+
+/**
+ * Get distance of key texts from center; keys move outwards as sections get narrower
+ * @param {number} sectionCount
+ * @returns {number} distance (0 - 1)
+ */
+function getKeyDistance(sectionCount) {
+   return 0.25 + Math.abs(0.1 * ((sectionCount - 6) / 20));
+}
+
+/**
+ * Get positions of key text, image, content text and badge of a section
+ * @param {{startAngle: number, endAngle: number}} angles - angles of section
+ * @param {number} keyDistance - distance of key text from center
+ * @param {number} imageHeight - content text is placed above the image
+ * @param {Function} [toInnerRing] - maps distances on a single-ring wheel to the innermost ring
+ * @returns {{keyText: {x: number, y: number}, image: {x: number, y: number}, contentText: {x: number, y: number}, badge: {x: number, y: number}}}
+ */
+function getContentPositions({ startAngle, endAngle }, keyDistance, imageHeight, toInnerRing = (distance) => distance) {
+   const midAngle = (startAngle + endAngle) / 2;
+   const midX = Math.cos(midAngle);
+   const midY = Math.sin(midAngle);
+
+   const imageDistance = toInnerRing(IMAGE_DISTANCE);
+   const image = { x: midX * imageDistance, y: midY * imageDistance };
+
+   // badge sits in the clockwise corner of section, near the outer edge
+   const badgeAngle = startAngle + (endAngle - startAngle) * 0.8;
+   const badgeDistance = toInnerRing(0.85);
+
+   return {
+      keyText: { x: midX * toInnerRing(keyDistance), y: midY * toInnerRing(keyDistance) },
+      image,
+      contentText: { x: image.x, y: image.y - imageHeight / 1.2 },
+      badge: { x: Math.cos(badgeAngle) * badgeDistance, y: Math.sin(badgeAngle) * badgeDistance },
+   };
+}
+
+/**
+ * Get size of a badge's background
+ * @param {string} text - badge text
+ * @param {number} size - font size
+ * @returns {{width: number, height: number}}
+ */
+function getBadgeSize(text, size) {
+   // text can't be measured before it's drawn, so estimate width from character count
+   const height = size * 1.8;
+   return { width: Math.max(height, text.length * size * 0.62 + size), height };
+}
+
+/**
+ * Get points of the back arrow icon in the back section
+ * @param {{startAngle: number, endAngle: number}} angles - angles of back section
+ * @param {number} distance - distance of arrow from center
+ * @returns {string} polygon points
+ */
+function getBackArrowPoints({ startAngle, endAngle }, distance) {
+   const midAngle = (startAngle + endAngle) / 2;
+   const tMidX = Math.cos(midAngle) * distance;
+   const tMidY = Math.sin(midAngle) * distance;
+   const scale = 0.08;
+   return `${tMidX - scale},${tMidY} ${tMidX},${tMidY + scale} ${tMidX},${tMidY - scale}`;
+}
+
+/** @type {CanvasRenderingContext2D|null|undefined} context used to measure text, null where there's no canvas */
+let measureContext;
+
+/**
+ * Measure width of a line of text
+ * @param {string} text
+ * @param {number} size - font size
+ * @param {string} font - font family
+ * @returns {number} width in the units of size
+ */
+function measureText(text, size, font) {
+   if (measureContext === undefined) measureContext = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(1, 1).getContext('2d') : null;
+
+   // without a canvas (e.g. in Node), estimate width from character count like badges do
+   if (measureContext === null) return text.length * size * 0.55;
+
+   // measure at a larger size, as canvases round tiny font sizes
+   measureContext.font = `100px ${font}`;
+   return (measureContext.measureText(text).width / 100) * size;
+}
+
+/**
+ * Get size of the largest box centered on a point that stays inside a section
+ * @param {{startAngle: number, endAngle: number}} angles - angles of section
+ * @param {{x: number, y: number}} center - center of box
+ * @param {number} outerRadius - outer radius of section
+ * @returns {{width: number, height: number}}
+ */
+function getTextBox({ startAngle, endAngle }, center, outerRadius) {
+   // distance from center to the edge of the section along a direction, the shorter of both ways
+   const reach = (dx, dy) => {
+      const b = center.x * dx + center.y * dy;
+      const root = Math.sqrt(Math.max(0, b * b - (center.x ** 2 + center.y ** 2 - outerRadius ** 2)));
+      let forward = root - b;
+      let backward = root + b;
+
+      // the straight edges only bound sections narrower than half the wheel
+      if (endAngle - startAngle < Math.PI) {
+         for (const angle of [startAngle, endAngle]) {
+            const denominator = dx * Math.sin(angle) - dy * Math.cos(angle);
+            if (Math.abs(denominator) < 1e-9) continue;
+
+            // where the line through center crosses the edge, and how far out along the edge that is
+            const t = (center.y * Math.cos(angle) - center.x * Math.sin(angle)) / denominator;
+            const distance = (center.y * dx - center.x * dy) / denominator;
+            if (distance <= 0) continue;
+
+            if (t > 0) forward = Math.min(forward, t);
+            else backward = Math.min(backward, -t);
+         }
+      }
+
+      return Math.max(0, Math.min(forward, backward));
+   };
+
+   return { width: 2 * reach(1, 0) * TEXT_PADDING, height: 2 * reach(0, 1) * TEXT_PADDING };
+}
+
+/**
+ * Fit text into a box: shrink it down to minSize, wrapping it onto more lines when they fit, and as a last resort
+ * truncate it with an ellipsis
+ * @param {string} text
+ * @param {Object} box
+ * @param {number} box.width - width available for each line
+ * @param {number} box.height - height available for all lines
+ * @param {number} box.size - preferred font size
+ * @param {number} box.minSize - smallest font size
+ * @param {number} box.maxLines - most lines
+ * @param {string} box.font - font family
+ * @returns {{lines: string[], size: number, truncated: boolean}}
+ */
+function fitText(text, { width, height, size, minSize, maxLines, font }) {
+   const words = text.split(/\s+/).filter((word) => word !== '');
+   const fits = (line, fontSize) => measureText(line, fontSize, font) <= width;
+
+   for (let fontSize = size; ; fontSize = Math.max(minSize, fontSize * 0.9)) {
+      const lineCount = Math.max(1, Math.min(maxLines, Math.floor(height / (fontSize * 1.2))));
+
+      // fill lines greedily
+      const lines = [];
+      for (const word of words) {
+         const line = lines.length > 0 ? `${lines[lines.length - 1]} ${word}` : word;
+         if (lines.length > 0 && fits(line, fontSize)) lines[lines.length - 1] = line;
+         else lines.push(word);
+      }
+
+      if (lines.length <= lineCount && lines.every((line) => fits(line, fontSize))) return { lines, size: fontSize, truncated: false };
+      if (fontSize > minSize) continue;
+
+      // the rest of the text goes on the last line, which (like any line still too wide) is shortened
+      const truncated = [...lines.slice(0, lineCount - 1), lines.slice(lineCount - 1).join(' ')].map((line) => {
+         if (fits(line, fontSize)) return line;
+         while (line.length > 0 && !fits(`${line}…`, fontSize)) line = line.slice(0, -1).trimEnd();
+         return `${line}…`;
+      });
+      return { lines: truncated, size: fontSize, truncated: true };
+   }
+}
+
+/**
+ * Get arc a curved label is set along: clockwise on the upper half of the wheel and counter-clockwise on the lower
+ * half, so text is never upside down
+ * @param {{startAngle: number, endAngle: number}} angles - angles of section
+ * @param {number} radius - distance of arc from center
+ * @returns {{path: string, length: number}} path data and length of arc
+ */
+function getLabelArc({ startAngle, endAngle }, radius) {
+   const midAngle = (startAngle + endAngle) / 2;
+   // a full circle can't be drawn as one arc
+   const sweep = Math.min(endAngle - startAngle, Math.PI * 1.9);
+   const isLowerHalf = Math.sin(midAngle) > 0;
+   const from = midAngle + ((isLowerHalf ? 1 : -1) * sweep) / 2;
+   const to = midAngle + ((isLowerHalf ? -1 : 1) * sweep) / 2;
+
+   const point = (angle) => `${Math.cos(angle) * radius} ${Math.sin(angle) * radius}`;
+   const path = `M ${point(from)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} ${isLowerHalf ? 0 : 1} ${point(to)}`;
+   return { path, length: sweep * radius };
+}
+
+/**
+ * @typedef {Object} UnraWheelLabelLayout - label of a section fitted into it
+ * @property {string[]} lines - lines of text, one for curved labels
+ * @property {number} size - font size
+ * @property {boolean} truncated - true if the text was shortened with an ellipsis
+ * @property {string|null} arc - path data curved labels are set along, null for straight labels
+ */
+
+/**
+ * Fit the label of a section into it. Straight labels are centered on position and may wrap onto more lines,
+ * curved labels follow an arc near the outer edge of the section
+ * @param {string} text
+ * @param {{startAngle: number, endAngle: number}} angles - angles of section
+ * @param {{x: number, y: number}} position - position of straight label (see getContentPositions)
+ * @param {Object} options
+ * @param {Object} options.style - content text style, shaped like style.contentText
+ * @param {boolean} [options.curved=false] - set the label along an arc
+ * @param {number} [options.imageHeight=0] - height of the image below a straight label, 0 if there's no image
+ * @param {Function} [options.toInnerRing] - maps distances on a single-ring wheel to the innermost ring
+ * @returns {UnraWheelLabelLayout}
+ */
+function getLabelLayout(text, angles, position, { style, curved = false, imageHeight = 0, toInnerRing = (distance) => distance }) {
+   const box = { size: Number(style.size), minSize: Number(style.minSize), maxLines: style.maxLines, font: style.font };
+
+   if (curved) {
+      const arc = getLabelArc(angles, toInnerRing(LABEL_ARC_DISTANCE));
+      return { ...fitText(text, { ...box, width: arc.length * TEXT_PADDING, height: Infinity, maxLines: 1 }), arc: arc.path };
+   }
+
+   // label sits above the image (see getContentPositions), lines mustn't reach down to it
+   const { width, height } = getTextBox(angles, position, toInnerRing(WHEEL_RADIUS));
+   const maxHeight = imageHeight > 0 ? Math.min(height, (imageHeight / 3) * 2) : height;
+   return { ...fitText(text, { ...box, width, height: maxHeight }), arc: null };
+}
+
+/**
+ * Get position and size of a key text. Keys move outwards from their usual distance while they're too wide for
+ * their section (like keyDistance does as sections get narrower), and shrink if that isn't enough
+ * @param {string} text - key label
+ * @param {{startAngle: number, endAngle: number}} angles - angles of section
+ * @param {number} keyDistance - usual distance of key text from center
+ * @param {Object} style - key text style, shaped like style.keyText
+ * @param {Function} [toInnerRing] - maps distances on a single-ring wheel to the innermost ring
+ * @returns {{x: number, y: number, size: number}}
+ */
+function getKeyLayout(text, angles, keyDistance, style, toInnerRing = (distance) => distance) {
+   const midAngle = (angles.startAngle + angles.endAngle) / 2;
+   const getPosition = (distance) => ({ x: Math.cos(midAngle) * toInnerRing(distance), y: Math.sin(midAngle) * toInnerRing(distance) });
+   const getWidth = (distance) => getTextBox(angles, getPosition(distance), toInnerRing(WHEEL_RADIUS)).width;
+   const width = measureText(text, style.size, style.font);
+
+   let distance = keyDistance;
+   while (distance < MAX_KEY_DISTANCE && getWidth(distance) < width) distance = Math.min(distance + 0.025, MAX_KEY_DISTANCE);
+
+   const size = width > getWidth(distance) ? Math.max(style.size / 2, (style.size * getWidth(distance)) / width) : style.size;
+   return { ...getPosition(distance), size };
+}
+
+/** Default colours, strokes, fonts and sizes of a wheel, shared by every UnraWheel and renderUnraWheelSvg */
+const DEFAULT_STYLE = {
+   sectionPointer: {
+      stroke: {
+         color: '#BBB',
+         width: 0.02,
+      },
+   },
+   section: {
+      stroke: {
+         color: '#888',
+         width: 0.01,
+      },
+   },
+   keyText: {
+      color: '#FFF',
+      size: 0.07,
+      font: '"Nimbus Mono PS", "Courier New", monospace',
+   },
+   contentText: {
+      color: '#FFF',
+      size: '0.06',
+      font: '"Open Sans", sans-serif',
+      minSize: 0.035, // labels too long for their section shrink down to this size before they're truncated
+      maxLines: 2,
+   },
+   image: {
+      width: 0.2,
+      height: 0.2,
+   },
+   background: {
+      color: '#333333F3',
+   },
+   center: {
+      stroke: {
+         color: '#888',
+         width: 0.01,
+      },
+      fillColor: '#000',
+   },
+   backArrow: {
+      fillColor: '#888',
+   },
+   badge: {
+      color: '#FFF',
+      fillColor: '#A33',
+      size: 0.045,
+      font: '"Open Sans", sans-serif',
+   },
+};
+
+/**
+ * Copy style properties into a style object, e.g. { center: { fillColor: '#CAA' } }
+ * @param {Object} target - style to change, shaped like DEFAULT_STYLE
+ * @param {Object} source - properties to change
+ * @param {string} [path=''] - path of target in the whole style, used in error messages
+ * @returns {void}
+ */
+function mergeStyle(target, source, path = '') {
+   if (typeof source !== 'object' || source === null) throw new TypeError(`[UnraWheel] Invalid style: ${path || 'style'} must be an object`);
+
+   for (const [name, value] of Object.entries(source)) {
+      const property = path ? `${path}.${name}` : name;
+      if (!Object.hasOwn(target, name)) throw new TypeError(`[UnraWheel] Invalid style: unknown property '${property}'`);
+
+      if (typeof target[name] === 'object') mergeStyle(target[name], value, property);
+      else target[name] = value;
+   }
+}
+
+// outside the browser (e.g. in Node) only UnraWheelController and renderUnraWheelSvg can be used
+const HTMLElementBase = globalThis.HTMLElement ?? class {};
+
 /**
  * Custom web component representing a wheel select
  *
  * @element unrawheel-v1
  *
- * @attribute {number} [section-count] - number of sections (one section will be added for back button)
- *    required if dynamic-section-count isn't set
- * @attribute {boolean} [dynamic-section-count] - set to make section count non-static
+ * @attribute {number} [section-count] - number of sections (one section will be added for back button unless
+ *    back-position is 'center' or 'none'); without it the section count follows the data
+ * @attribute {boolean} [dynamic-section-count] - set to make section count non-static even if section-count is set
+ * @attribute {number} [start-angle] - where the first section starts, in degrees clockwise from the top
+ *    (by default the back section is centered on the left)
+ * @attribute {number} [sweep-angle=360] - how much of the circle the sections cover in degrees, e.g. 180 for a semicircle
+ * @attribute {string} [direction=clockwise] - direction sections are laid out in: 'clockwise' or 'counter-clockwise'
+ * @attribute {string} [back-position=end] - where the back section is: 'end' (last section), a section index,
+ *    'center' (center circle) or 'none' (hidden, back key still works)
+ * @attribute {string} [back-text] - text shown in the back section (also acts as its aria-label)
+ * @attribute {string} [back-image] - url/path to icon shown instead of the back arrow
+ * @attribute {string} [back-key=Backspace] - key binding of the back section
+ * @attribute {number} [back-weight=1] - share of the wheel taken by the back section (see weight of UnraWheelSection)
+ * @attribute {number} [rings=1] - number of concentric rings (1 - 3); outer rings preview the sub-options of the
+ *    section pointed at on the ring inside them
+ * @attribute {string} [next-page-key=PageDown] - key binding of the next page section, shown when a level has more
+ *    sections than section-count (the level is then split into pages)
+ * @attribute {string} [previous-page-key=PageUp] - key binding of the previous page section
  * @attribute {string} [data] - JSON string of section data
  * @attribute {boolean} [auto-lock] - set to automatically lock wheel when user makes a selection
  *    and unlock it when new sections are set
+ * @attribute {boolean} [locked] - set to lock the wheel for user input, remove to unlock it; reflects the lock state
+ * @attribute {boolean} [sequence] - set to collect selections into a path until they're confirmed with Enter or
+ *    by clicking the center (see path / setPath()); back removes the last selection on the root level
+ * @attribute {string} [center-content=none] - what the center circle shows: 'none', 'item' (text, description and
+ *    image of the section pointed at), 'path' (texts of the sections whose children are shown) or 'slot' (the
+ *    element's children with slot="center")
+ * @attribute {string} [label-layout=straight] - how section texts are fitted into sections: 'straight' (shrunk and
+ *    wrapped onto up to style.contentText.maxLines lines) or 'curved' (set along an arc near the outer edge)
+ * @attribute {string} [center-action] - what clicking the center circle does: 'none', 'confirm' (select the section
+ *    pointed at, or confirm the sequence in sequence mode) or 'cancel'; defaults to 'confirm' in sequence mode
+ *    and can't be used with back-position 'center'
+ * @attribute {string} [key-scope=global] - where key presses and the popup button work: 'global' (anywhere on the
+ *    page), 'focus-within' (only while focus is inside the wheel) or the id of an element focus must be inside of
+ * @attribute {boolean} [keys-in-inputs] - set to also handle key presses while typing in text inputs
+ * @attribute {boolean} [gamepad] - set to point at sections with the left analog stick of a connected gamepad
+ * @attribute {number} [gamepad-dead-zone=0.5] - stick distance from center (0 - 1) below which stick input is ignored
+ * @attribute {number} [gamepad-select-button=0] - index of gamepad button that selects the pointed section
+ * @attribute {number} [gamepad-back-button=1] - index of gamepad button that selects the back section
+ * @attribute {boolean} [popup] - set to hide the wheel until it is opened at the pointer position (see open() / close())
+ * @attribute {string} [popup-key] - key binding that opens the popup wheel while held (e.g. 'b' or 'Ctrl+q')
+ * @attribute {number} [popup-button] - mouse button (0 = left, 1 = middle, 2 = right) that opens the popup wheel while held
+ * @attribute {boolean} [gesture] - set to select sections (across nested levels) by pressing and flicking in their direction
+ * @attribute {number} [gesture-hold-delay=250] - milliseconds a press may stay still before falling back to the visual wheel
+ * @attribute {string} [name] - name of the value in form submissions
+ * @attribute {string} [form-value=value] - what is submitted with forms: 'value' (value of the last selected
+ *    section) or 'path' (values of every section selected on the way to it)
+ * @attribute {boolean} [required] - set to make forms invalid until a section has been selected
+ * @attribute {boolean} [disabled] - set to lock the wheel and leave it out of form submissions
+ *
+ * Every attribute can be changed while the wheel is shown. Changing one that affects the layout redraws the wheel
+ * and returns it to the root level
+ *
+ * @fires before-select - before a section is selected, detail: UnraWheelSectionDetail; call preventDefault() to
+ *    keep the section from being selected
+ * @fires section-select - when a section is selected, detail: UnraWheelSectionDetail
+ * @fires section-hover - when the section pointer moves to a section, detail: UnraWheelSectionDetail
+ * @fires section-focus - when a section receives keyboard focus, detail: UnraWheelSectionDetail
+ * @fires section-back - when back is selected on a nested level, while children load or to remove the last selection
+ *    of a sequence, detail: UnraWheelSectionDetail (value is the value of the section whose children were shown or
+ *    loading, or of the removed selection)
+ * @fires cancel - when back is selected on the root level or the center is clicked with center-action="cancel",
+ *    detail: UnraWheelSectionDetail
+ * @fires navigate - when the shown level changes, detail: { direction, path, items, source } (direction is 'in',
+ *    'out' or 'root'; path and items lead from root level to the shown level)
+ * @fires lock-change - when the wheel is locked or unlocked, detail: { locked, source }
+ * @fires page-change - when another page of a level with more sections than section-count is shown,
+ *    detail: { page, pageCount, source } (page is zero-based)
+ * @fires load-error - when loading sections fails, detail: { error, item } (item is null for the root level)
+ * @fires change - when value changes because a section without children was selected (or a sequence was confirmed)
+ * @fires path-select - when a section without children is selected, detail: { path, items, source }
+ *    (values and items from root level to selected section)
+ * @fires path-change - when a selection is added to or removed from the sequence, detail: { path, source }
+ * @fires sequence-select - when the sequence is confirmed, detail: { path, source } (values of selected sections)
+ * @fires open - when the popup wheel is opened, detail: { x, y }
+ * @fires close - when the popup wheel is closed
+ * @fires gesture-select - when a gesture has been applied, detail: { sequence } (values of selected sections)
+ *
+ * @cssprop --unrawheel-* - every colour, stroke and font in style, e.g. style.section.stroke.color is
+ *    --unrawheel-section-stroke-color and style.keyText.font is --unrawheel-key-text-font
+ *
+ * @csspart background - wheel background circle
+ * @csspart section - section sector (back section also has part section-back)
+ * @csspart section-pointer - outline pointing at the hovered section
+ * @csspart ring-section - section on an outer ring
+ * @csspart key-text - keyboard key shown in section
+ * @csspart content-text - text shown in section
+ * @csspart image - image shown in section
+ * @csspart badge - badge shown in the corner of section
+ * @csspart back-arrow - arrow icon in back section
+ * @csspart center - center circle (also has part center-back when back-position is 'center', or center-confirm /
+ *    center-cancel with center-action)
+ * @csspart center-text - length of the sequence, shown in the center circle in sequence mode
+ * @csspart center-content - content area of the center circle (see center-content)
+ * @csspart status - loading indicator and retry button shown in the center
+ *
+ * @slot center - content shown in the center circle with center-content="slot"
  */
-export class UnraWheel extends HTMLElement {
-   style = {
-      sectionPointer: {
-         stroke: {
-            color: '#BBB',
-            width: 0.02,
-         },
-      },
-      section: {
-         stroke: {
-            color: '#888',
-            width: 0.01,
-         },
-      },
-      keyText: {
-         color: '#FFF',
-         size: 0.07,
-         font: '"Nimbus Mono PS", "Courier New", monospace',
-      },
-      contentText: {
-         color: '#FFF',
-         size: '0.06',
-         font: '"Open Sans", sans-serif',
-      },
-      image: {
-         width: 0.2,
-         height: 0.2,
-      },
-      background: {
-         color: '#333333F3',
-      },
-      center: {
-         stroke: {
-            color: '#888',
-            width: 0.01,
-         },
-         fillColor: '#000',
-      },
-      backArrow: {
-         fillColor: '#888',
-      },
+export class UnraWheel extends HTMLElementBase {
+   style = structuredClone(DEFAULT_STYLE);
+
+   /**
+    * Texts for screen readers and page sections; {path}, {count}, {text} and {page} are replaced with the current
+    * level, amount of options (or confirmed selections, or pages), the selected section's text and the page number
+    */
+   labels = {
+      menu: 'wheel of selectable options',
+      back: 'go back',
+      level: '{path}, {count} options',
+      selected: '{text} selected',
+      loading: 'loading options',
+      loadError: 'loading options failed',
+      required: 'Please select an option.',
+      confirm: 'confirm',
+      cancel: 'cancel',
+      nextPage: 'more',
+      previousPage: 'previous',
+      page: 'page {page} of {count}',
+      removed: 'last selection removed',
+      confirmed: '{count} selections confirmed',
    };
 
-   /** @type {UnraWheelData|null} */
-   #data = null;
+   /**
+    * sections, shown level, lock, focus, loading and selection; the element draws its state and forwards its events
+    * @type {UnraWheelController}
+    */
+   #controller = new UnraWheelController();
+
+   /** @type {Promise<void>} resolves when the transition to the shown level has finished */
+   #transition = Promise.resolve();
+
+   /** @type {ElementInternals} */
+   #internals;
+
+   /** @type {*|Array<*>|null} value of last selected section, or path to it; null if nothing is selected */
+   #value = null;
+   #submitPath = false;
 
    // internal state
-   #angleStep = 0;
-   #angleOffset = 0;
+   /** @type {Array<{startAngle: number, endAngle: number}>} angles of the shown level, used for hit-testing */
+   #sectionAngles = [];
+   /** @type {Array<{startAngle: number, endAngle: number}>|null} angles drawn while sections morph, null otherwise */
+   #morphAngles = null;
+   #startAngle = null; // degrees clockwise from top, null for default
+   #sweepAngle = 360; // degrees
+   #isCounterClockwise = false;
+   #viewBox = { x: -1, y: -1, width: 2, height: 2 };
+   #drawnBackIndex = -1; // back section index of #sectionAngles
+   #backText = null;
+   #backImage = null;
+   #backWeight = 1;
+   #ringCount = 1;
+   #ringWidth = 0;
+   #morphDuration = 300; // ms
+   #morphFrame = 0;
+   /** @type {Function|null} */
+   #finishMorph = null;
    #prevHoverIndex = 0;
    #currSectionPointerRotation = 0;
    #keyDistanceFromCenter = 0;
-   #sectionCount = 0;
-   #imageDistanceFromCenter = 0.65;
-   #radiusScale = 0.99;
+   #radiusScale = WHEEL_RADIUS;
+   #centerRadius = CENTER_RADIUS;
    #isMouseOver = false;
-   #isLocked = true;
-   #autoLockWheel = false;
-   #staticSectionCount = false;
+   #isFocusPointing = false;
+   #isAnnouncingSelection = false; // a selection is announced instead of the level shown after it
+
+   // gamepad state
+   #gamepadEnabled = false;
+   #gamepadDeadZone = 0.5;
+   #gamepadSelectButton = 0;
+   #gamepadBackButton = 1;
+   #gamepadFrame = 0;
+   #isGamepadPointing = false;
+   #gamepadPointedIndex = -1; // section the stick last pointed at on the shown level, selected also once it's let go
+   #prevGamepadButtons = { select: false, back: false };
+
+   // popup state
+   #isPopup = false;
+   #isOpen = false;
+   #isPopupPointing = false;
+   #popupKey = null;
+   #popupButton = null;
+   #popupCenter = { x: 0, y: 0 };
+   #lastPointerPosition = null;
+   #popupRing = 0; // outer ring pointed at, 0 for the innermost ring
+
+   /** @type {HTMLDivElement|null} */
+   #container = null;
+
+   /** @type {HTMLStyleElement|null} */
+   #styleProperties = null;
+
+   /** @type {SVGPolygonElement|null} */
+   #backArrowElem = null;
+
+   /** @type {SVGCircleElement|null} */
+   #centerElem = null;
+
+   /** @type {SVGImageElement|null} back icon in center circle */
+   #centerImageElem = null;
+
+   /** @type {SVGTextElement|null} length of the sequence, shown in the center circle in sequence mode */
+   #centerTextElem = null;
+
+   /** @type {HTMLDivElement|null} hovered item, breadcrumb or slotted content in the center circle */
+   #centerContentElem = null;
+   #centerContent = 'none'; // 'none', 'item', 'path' or 'slot'
+   #centerAction = 'none'; // 'none', 'confirm' or 'cancel'
+   #centerContentScale = 100; // center content is laid out at this scale, as browsers round tiny font sizes
+   #labelLayout = 'straight'; // 'straight' or 'curved'
+
+   /** @type {SVGGElement|null} loading indicator and retry button, kept across renders */
+   #statusElem = null;
+
+   /** @type {HTMLDivElement|null} */
+   #liveRegion = null;
+
+   /** @type {MutationObserver|null} watches <unrawheel-item> children */
+   #itemObserver = null;
+
+   // attributes are read and the skeleton rendered when the element is first connected
+   #isSetUp = false;
+
+   /** @type {WeakSet<KeyboardEvent>} key presses already handled by menu navigation */
+   #menuKeyEvents = new WeakSet();
+
+   /**
+    * outer rings, each previewing the children of the section pointed at on the ring inside it
+    * @type {Array<{items: UnraWheelData, angles: Array<{startAngle: number, endAngle: number}>, pointedIndex: number,
+    *    group: SVGGElement, sections: SVGPathElement[], keyTexts: SVGTextElement[], contentTexts: SVGTextElement[]}>}
+    */
+   #outerRings = [];
+
+   // gesture state
+   #gestureEnabled = false;
+   #gestureHoldDelay = 250;
+   #gestureMinSegmentLength = 30; // px
+   #gestureSampleLength = 8; // px
+   #gestureTurnAngle = Math.PI / 4;
+   #suppressClick = false;
+   /** @type {UnraWheelInputSource|null} source of next focus, null if focus comes from the keyboard */
+   #focusSource = null;
+
+   /**
+    * @typedef {Object} UnraWheelGesture
+    * @property {Array<{x: number, y: number}>} points - pointer positions of the stroke so far
+    * @property {boolean} isMarking - true once the pointer moved far enough to count as a gesture
+    * @property {number} holdTimer - timeout id of hold fallback
+    * @property {Function|null} onHold - called when the press falls back to the visual wheel
+    * @property {UnraWheelInputSource} source - input the stroke is drawn with
+    */
+
+   /** @type {UnraWheelGesture|null} */
+   #gesture = null;
 
    /**
     * @typedef {Object} UnraWheelElements
@@ -110,6 +954,10 @@ export class UnraWheel extends HTMLElement {
     * @property {SVGImageElement[]} images
     * @property {SVGTextElement[]} keyTexts
     * @property {SVGTextElement[]} contentTexts
+    * @property {SVGGElement[]} badges
+    * @property {SVGTitleElement[]} descriptions
+    * @property {string[]} labels - full texts of content texts, which may show them shortened
+    * @property {SVGPathElement[]} labelArcs - arcs curved labels are set along
     */
 
    /** @type {UnraWheelElements} */
@@ -119,15 +967,20 @@ export class UnraWheel extends HTMLElement {
       images: [],
       keyTexts: [],
       contentTexts: [],
+      badges: [],
+      descriptions: [],
+      labels: [],
+      labelArcs: [],
    };
 
-   // prettier-ignore
-   #defaultKeys = [
-      'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l',
-      'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p',
-      'z', 'x', 'c', 'v', 'b', 'n', 'm',
-      '1', '2', '3', '4', '5', '6', '7', '8', '9', '0'
-  ];
+   // keyboard state
+   /** @type {string|Element} */
+   #keyScope = 'global';
+   #keysInInputs = false;
+   /** @type {Map<string, string>|null} */
+   #keyboardLayout = null;
+
+   #defaultKeys = DEFAULT_KEYS;
 
    #CSS = `
         svg {
@@ -135,94 +988,3486 @@ export class UnraWheel extends HTMLElement {
             height: 100%;
         }
 
-        .unrawheel--locked {
-            pointer-events: none;
-            user-select: none;
-        }
+        .unrawheel--popup {
+            position: fixed;
+            width: min(60vmin, 400px);
+            height: min(60vmin, 400px);
+            transform: translate(-50%, -50%);
+            z-index: 1000;
+        }
+
+        .unrawheel--popup:not(.unrawheel--open) {
+            display: none;
+        }
+
+        .unrawheel--gesture svg {
+            touch-action: none;
+        }
+
+        .unrawheel--locked {
+            pointer-events: none;
+            user-select: none;
+        }
+
+        .unrawheel--locked .section {
+            transition: fill 0.4s;
+            fill: #666;
+        }
+
+        .section {
+            cursor: pointer;
+            transition: fill 0.2s;
+            fill: transparent;
+        }
+
+        .section--back {
+        }
+
+        .ring-section {
+            cursor: pointer;
+            transition: fill 0.2s;
+            fill: transparent;
+            stroke: var(--unrawheel-section-stroke-color);
+            stroke-width: var(--unrawheel-section-stroke-width);
+        }
+
+        .ring-section--pointed {
+            fill: #222;
+        }
+
+        .ring-section--disabled {
+            cursor: default;
+            fill: #666;
+        }
+
+        .section--empty {
+            fill: #666;
+         }
+
+        .section--disabled {
+            cursor: default;
+            fill: #666;
+        }
+
+        .section-content--disabled {
+            opacity: 0.4;
+        }
+
+        .section.section--selected {
+            animation: 0.1s ease flash;
+        }
+
+        @keyframes flash {
+            0% {
+                fill: #111;
+            }
+            100% {
+                fill: transparent;
+            }
+        }
+
+        .section-pointer {
+            transform-origin: 0 0;
+            transition: transform 0.5s cubic-bezier(0.19, 1, 0.22, 1), opacity .2s ease;
+            opacity: 0;
+        }
+
+        .section-pointer--show {
+            opacity: 1;
+        }
+
+        .section-pointer--morphing {
+            transition: opacity .2s ease;
+        }
+
+        .section-link:focus {
+            outline: none;
+        }
+
+        .section-group:has(> .section-link:focus) .section {
+            fill: #222;
+        }
+
+        .live-region {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip-path: inset(50%);
+            white-space: nowrap;
+        }
+
+        .background {
+            fill: var(--unrawheel-background-color);
+        }
+
+        .section {
+            stroke: var(--unrawheel-section-stroke-color);
+            stroke-width: var(--unrawheel-section-stroke-width);
+        }
+
+        .section-pointer {
+            stroke: var(--unrawheel-section-pointer-stroke-color);
+            stroke-width: var(--unrawheel-section-pointer-stroke-width);
+        }
+
+        .key-text {
+            fill: var(--unrawheel-key-text-color);
+            font-size: calc(var(--unrawheel-key-text-size) * 1px);
+            font-family: var(--unrawheel-key-text-font);
+        }
+
+        .content-text {
+            fill: var(--unrawheel-content-text-color);
+            font-size: calc(var(--unrawheel-content-text-size) * 1px);
+            font-family: var(--unrawheel-content-text-font);
+        }
+
+        .center {
+            fill: var(--unrawheel-center-fill-color);
+            stroke: var(--unrawheel-center-stroke-color);
+            stroke-width: var(--unrawheel-center-stroke-width);
+        }
+
+        .center--back,
+        .center--confirm,
+        .center--cancel {
+            cursor: pointer;
+        }
+
+        .center-content-box {
+            pointer-events: none;
+        }
+
+        .center-content {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            box-sizing: border-box;
+            width: 100%;
+            height: 100%;
+            overflow: hidden;
+            text-align: center;
+            overflow-wrap: anywhere;
+            color: var(--unrawheel-content-text-color);
+            font-size: calc(var(--unrawheel-content-text-size) * 100px);
+            font-family: var(--unrawheel-content-text-font);
+        }
+
+        .center-image {
+            max-width: 50%;
+            max-height: 40%;
+        }
+
+        .center-image:not([src]) {
+            display: none;
+        }
+
+        .center-description {
+            font-size: 0.75em;
+            opacity: 0.8;
+        }
+
+        .unrawheel--loading .center-content,
+        .unrawheel--error .center-content {
+            visibility: hidden;
+        }
+
+        .center-text {
+            fill: var(--unrawheel-key-text-color);
+            font-size: calc(var(--unrawheel-key-text-size) * 1px);
+            font-family: var(--unrawheel-key-text-font);
+            pointer-events: none;
+        }
+
+        .status {
+            pointer-events: none;
+        }
+
+        .status > * {
+            display: none;
+        }
+
+        .status-retry {
+            fill: transparent;
+        }
+
+        .status-spinner {
+            fill: none;
+            stroke: var(--unrawheel-section-pointer-stroke-color);
+            stroke-width: var(--unrawheel-section-pointer-stroke-width);
+            animation: 0.8s linear infinite spin;
+        }
+
+        .status-error {
+            fill: var(--unrawheel-badge-fill-color);
+            font-size: 0.14px;
+            font-family: var(--unrawheel-content-text-font);
+        }
+
+        .unrawheel--loading .status-spinner,
+        .unrawheel--error .status-error,
+        .unrawheel--retry .status-retry {
+            display: initial;
+        }
+
+        .unrawheel--retry .status {
+            pointer-events: auto;
+            cursor: pointer;
+        }
+
+        .unrawheel--loading .section:not(.section--back),
+        .unrawheel--loading .ring-section {
+            pointer-events: none;
+        }
+
+        @keyframes spin {
+            100% {
+                transform: rotate(360deg);
+            }
+        }
+
+        .center--back:focus,
+        .center--confirm:focus,
+        .center--cancel:focus {
+            outline: none;
+            stroke: var(--unrawheel-section-pointer-stroke-color);
+        }
+
+        .center--back ~ .back-arrow,
+        .center--back ~ image {
+            pointer-events: none;
+        }
+
+        .back-arrow {
+            fill: var(--unrawheel-back-arrow-fill-color);
+        }
+
+        .badge rect {
+            fill: var(--unrawheel-badge-fill-color);
+        }
+
+        .badge text {
+            fill: var(--unrawheel-badge-color);
+            font-size: calc(var(--unrawheel-badge-size) * 1px);
+            font-family: var(--unrawheel-badge-font);
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+            .section,
+            .section-pointer {
+                transition: none;
+            }
+
+            .section.section--selected {
+                animation: none;
+            }
+
+            .status-spinner {
+                animation: none;
+            }
+        }
+    `;
+
+   static formAssociated = true;
+
+   static get observedAttributes() {
+      return [
+         'section-count',
+         'dynamic-section-count',
+         'start-angle',
+         'sweep-angle',
+         'direction',
+         'back-position',
+         'back-text',
+         'back-image',
+         'back-key',
+         'back-weight',
+         'rings',
+         'next-page-key',
+         'previous-page-key',
+         'data',
+         'auto-lock',
+         'locked',
+         'sequence',
+         'center-content',
+         'center-action',
+         'label-layout',
+         'key-scope',
+         'keys-in-inputs',
+         'gamepad',
+         'gamepad-dead-zone',
+         'gamepad-select-button',
+         'gamepad-back-button',
+         'popup',
+         'popup-key',
+         'popup-button',
+         'gesture',
+         'gesture-hold-delay',
+         'form-value',
+         'required',
+      ];
+   }
+
+   /**
+    * Attributes that are read where they're used, so changing them doesn't redraw the wheel
+    * @type {string[]}
+    */
+   static #liveAttributes = ['auto-lock', 'keys-in-inputs', 'gamepad-dead-zone', 'gamepad-select-button', 'gamepad-back-button', 'popup-key', 'popup-button', 'gesture-hold-delay'];
+
+   constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+
+      // take part in forms like native inputs
+      this.#internals = this.attachInternals();
+
+      // draw changes of the controller's state, and fire its events on the element
+      this.#controller.addEventListener('level-change', this.#onLevelChange);
+      this.#controller.addEventListener('load-state-change', this.#onLoadStateChange);
+      this.#controller.addEventListener('lock-change', this.#onLockChange);
+      this.#controller.addEventListener('before-select', this.#onBeforeSelect);
+      this.#controller.addEventListener('section-focus', this.#onFocusChange);
+      this.#controller.addEventListener('path-select', this.#onPathSelect);
+      this.#controller.addEventListener('path-change', this.#onPathChange);
+      this.#controller.addEventListener('sequence-select', this.#onSequenceSelect);
+      this.#controller.addEventListener('cancel', this.#onCancel);
+      for (const type of ['section-select', 'section-back', 'navigate', 'page-change', 'load-error']) {
+         this.#controller.addEventListener(type, this.#forwardEvent);
+      }
+
+      // label default keys by the user's keyboard layout where the browser supports it
+      if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+         navigator.keyboard
+            .getLayoutMap()
+            .then((layout) => {
+               this.#keyboardLayout = layout;
+               if (this.#isSetUp && this.#controller.items !== null) this.#render(false);
+            })
+            .catch(() => {});
+      }
+
+      // keep sections in sync with <unrawheel-item> children (including the ones added while the page is parsed),
+      // also while the element is moved around
+      this.#itemObserver = new MutationObserver(this.#onItemsMutated);
+      this.#itemObserver.observe(this, { childList: true, subtree: true, attributes: true, characterData: true });
+   }
+
+   /**
+    * Read options from attributes, using defaults for attributes that aren't set. Every attribute is validated before
+    * any option is changed, so an invalid attribute leaves the wheel as it was. Options of the controller are
+    * returned instead of applied, as applying them returns the wheel to the root level
+    * @returns {UnraWheelControllerOptions}
+    */
+   #applyAttributes() {
+      const formValue = this.getAttribute('form-value') ?? 'value';
+      if (formValue !== 'value' && formValue !== 'path') throw new TypeError("[UnraWheel] Invalid properties: form-value must be 'value' or 'path'");
+
+      // manage back section
+      const backPosition = this.getAttribute('back-position') ?? 'end';
+      if (!['end', 'center', 'none'].includes(backPosition) && !/^\d+$/.test(backPosition)) {
+         throw new TypeError("[UnraWheel] Invalid properties: back-position must be 'end', 'center', 'none' or a section index");
+      }
+      const options = { backPosition: /^\d+$/.test(backPosition) ? Number(backPosition) : backPosition };
+      options.backKey = this.getAttribute('back-key') ?? 'Backspace';
+      if (parseKeyBinding(options.backKey) === null) throw new TypeError("[UnraWheel] Invalid properties: back-key must be a key binding (e.g. 'Backspace' or 'Ctrl+z')");
+
+      // manage section count; without section-count the count follows the data
+      const sectionCountOption = this.getAttribute('section-count');
+      options.sectionCount = null;
+      if (sectionCountOption !== null && !this.hasAttribute('dynamic-section-count')) {
+         if (!Number(sectionCountOption) > 0) throw new TypeError('[UnraWheel] Invalid properties: section-count must be a number greater than zero');
+         options.sectionCount = Number(sectionCountOption);
+      }
+
+      // manage pagination
+      options.nextPageKey = this.getAttribute('next-page-key') ?? 'PageDown';
+      options.previousPageKey = this.getAttribute('previous-page-key') ?? 'PageUp';
+      for (const [key, name] of [
+         [options.nextPageKey, 'next-page-key'],
+         [options.previousPageKey, 'previous-page-key'],
+      ]) {
+         if (parseKeyBinding(key) === null) throw new TypeError(`[UnraWheel] Invalid properties: ${name} must be a key binding (e.g. 'PageDown' or 'Ctrl+n')`);
+      }
+
+      options.sequence = this.hasAttribute('sequence');
+
+      // manage center circle
+      const centerContent = this.getAttribute('center-content') ?? 'none';
+      if (!['none', 'item', 'path', 'slot'].includes(centerContent)) {
+         throw new TypeError("[UnraWheel] Invalid properties: center-content must be 'none', 'item', 'path' or 'slot'");
+      }
+      const centerAction = this.getAttribute('center-action') ?? (options.sequence ? 'confirm' : 'none');
+      if (!['none', 'confirm', 'cancel'].includes(centerAction)) {
+         throw new TypeError("[UnraWheel] Invalid properties: center-action must be 'none', 'confirm' or 'cancel'");
+      }
+      if (options.backPosition === 'center' && this.hasAttribute('center-action')) {
+         throw new TypeError("[UnraWheel] Invalid properties: center-action can't be used with back-position 'center'");
+      }
+
+      // manage section texts
+      const labelLayout = this.getAttribute('label-layout') ?? 'straight';
+      if (labelLayout !== 'straight' && labelLayout !== 'curved') {
+         throw new TypeError("[UnraWheel] Invalid properties: label-layout must be 'straight' or 'curved'");
+      }
+
+      // manage arc layout
+      const startAngle = this.hasAttribute('start-angle') ? this.#getNumberAttribute('start-angle', 0) : null;
+      const sweepAngle = this.#getNumberAttribute('sweep-angle', 360, 1, 360);
+      const direction = this.getAttribute('direction') ?? 'clockwise';
+      if (direction !== 'clockwise' && direction !== 'counter-clockwise') {
+         throw new TypeError("[UnraWheel] Invalid properties: direction must be 'clockwise' or 'counter-clockwise'");
+      }
+      const backWeight = this.#getNumberAttribute('back-weight', 1, 0);
+      if (backWeight === 0 || backWeight === Infinity) throw new TypeError('[UnraWheel] Invalid properties: back-weight must be a number greater than zero');
+
+      // manage rings; outer rings share the outer part of the wheel
+      const ringCount = Math.floor(this.#getNumberAttribute('rings', 1, 1, 3));
+
+      // manage gamepad options
+      const gamepadDeadZone = this.#getNumberAttribute('gamepad-dead-zone', 0.5, 0, 1);
+      const gamepadSelectButton = this.#getNumberAttribute('gamepad-select-button', 0, 0);
+      const gamepadBackButton = this.#getNumberAttribute('gamepad-back-button', 1, 0);
+
+      // manage popup options
+      const popupKey = this.getAttribute('popup-key');
+      if (popupKey !== null && parseKeyBinding(popupKey) === null) {
+         throw new TypeError("[UnraWheel] Invalid properties: popup-key must be a key binding (e.g. 'b' or 'Ctrl+q')");
+      }
+      const popupButton = this.hasAttribute('popup-button') ? this.#getNumberAttribute('popup-button', 0, 0, 4) : null;
+
+      // manage gesture options
+      const gestureHoldDelay = this.#getNumberAttribute('gesture-hold-delay', 250, 0);
+
+      // every attribute is valid, apply them
+      this.#submitPath = formValue === 'path';
+      this.#backText = this.getAttribute('back-text');
+      this.#backImage = this.getAttribute('back-image');
+      this.#controller.autoLock = this.hasAttribute('auto-lock');
+      this.#centerContent = centerContent;
+      this.#centerAction = options.backPosition === 'center' ? 'none' : centerAction;
+      this.#labelLayout = labelLayout;
+      this.#startAngle = startAngle;
+      this.#sweepAngle = sweepAngle;
+      this.#isCounterClockwise = direction === 'counter-clockwise';
+      this.#viewBox = this.#getViewBox();
+      this.#backWeight = backWeight;
+      this.#ringCount = ringCount;
+      this.#ringWidth = ringCount > 1 ? 0.6 / ringCount : 0;
+      // key-scope is read when it changes, so it doesn't undo setKeyScope
+      this.#keysInInputs = this.hasAttribute('keys-in-inputs');
+      this.#gamepadEnabled = this.hasAttribute('gamepad');
+      this.#gamepadDeadZone = gamepadDeadZone;
+      this.#gamepadSelectButton = gamepadSelectButton;
+      this.#gamepadBackButton = gamepadBackButton;
+      this.#isPopup = this.hasAttribute('popup');
+      this.#popupKey = popupKey;
+      this.#popupButton = popupButton;
+      this.#gestureEnabled = this.hasAttribute('gesture');
+      this.#gestureHoldDelay = gestureHoldDelay;
+
+      return options;
+   }
+
+   /**
+    * Read attributes, set initial data and render (run once, when the element is first connected)
+    * @returns {void}
+    */
+   #setUp() {
+      // sections set before the element was connected are bound to keys again, as they may depend on the attributes
+      this.#controller.configure(this.#applyAttributes());
+      if (this.hasAttribute('key-scope')) this.#keyScope = this.getAttribute('key-scope');
+
+      // set initial data if provided
+      if (this.hasAttribute('data')) this.#controller.setSections(this.getAttribute('data'));
+      else if (this.#readItems(this).length > 0) this.#controller.setSections(this.#readItems(this));
+      if (this.hasAttribute('locked')) this.#controller.setLocked(true);
+
+      this.#isSetUp = true;
+      this.#initialRender();
+
+      // render data if initial data provided
+      this.#controller.items !== null && this.#render();
+      this.#updateFormValue();
+   }
+
+   /**
+    * Read attributes again and redraw the wheel with them, returning to the root level
+    * @returns {void}
+    */
+   #reconfigure() {
+      // listeners depend on the attributes, and are added again even if an attribute is invalid
+      this.#removeListeners();
+      try {
+         const options = this.#applyAttributes();
+
+         this.svg.setAttribute('viewBox', `${this.#viewBox.x} ${this.#viewBox.y} ${this.#viewBox.width} ${this.#viewBox.height}`);
+         this.#container.classList[this.#isPopup ? 'add' : 'remove']('unrawheel--popup');
+         this.#container.classList[this.#gestureEnabled ? 'add' : 'remove']('unrawheel--gesture');
+         if (!this.#isPopup && this.#isOpen) this.#close('programmatic');
+
+         // sections are drawn anew in the new layout instead of morphing from the previous one
+         this.#sectionAngles = [];
+         this.#morphAngles = null;
+         this.#controller.configure(options);
+      } finally {
+         if (this.isConnected) this.#addListeners();
+      }
+   }
+
+   /**
+    * Add listeners to document and window (while connected)
+    * @returns {void}
+    */
+   #addListeners() {
+      // add keyboard event listener
+      document.addEventListener('keydown', this.#onKeyPress);
+
+      // texts are measured with the fonts available, fit them again once web fonts have loaded
+      document.fonts?.addEventListener('loadingdone', this.#onFontsLoaded);
+
+      // add gamepad event listeners, start polling if a gamepad is already connected
+      if (this.#gamepadEnabled) {
+         window.addEventListener('gamepadconnected', this.#onGamepadConnected);
+         window.addEventListener('gamepaddisconnected', this.#onGamepadDisconnected);
+         if (this.#getGamepad() !== null) this.#onGamepadConnected();
+      }
+
+      // add popup event listeners
+      if (this.#isPopup) {
+         document.addEventListener('pointermove', this.#onPopupPointerMove);
+         document.addEventListener('keyup', this.#onPopupKeyUp);
+         document.addEventListener('mousedown', this.#onPopupMouseDown);
+         document.addEventListener('mouseup', this.#onPopupMouseUp);
+         document.addEventListener('contextmenu', this.#onPopupContextMenu);
+      }
+   }
+
+   /**
+    * Remove listeners from document and window, and stop polling and gestures
+    * @returns {void}
+    */
+   #removeListeners() {
+      document.removeEventListener('keydown', this.#onKeyPress);
+      document.fonts?.removeEventListener('loadingdone', this.#onFontsLoaded);
+      window.removeEventListener('gamepadconnected', this.#onGamepadConnected);
+      window.removeEventListener('gamepaddisconnected', this.#onGamepadDisconnected);
+      cancelAnimationFrame(this.#gamepadFrame);
+      this.#gamepadFrame = 0;
+      document.removeEventListener('pointermove', this.#onPopupPointerMove);
+      document.removeEventListener('keyup', this.#onPopupKeyUp);
+      document.removeEventListener('mousedown', this.#onPopupMouseDown);
+      document.removeEventListener('mouseup', this.#onPopupMouseUp);
+      document.removeEventListener('contextmenu', this.#onPopupContextMenu);
+      this.#endGesture();
+   }
+
+   /**
+    * Read a numeric attribute
+    * @param {string} name - attribute name
+    * @param {number} fallback - value used if attribute isn't set
+    * @param {number} [min=-Infinity] - smallest allowed value
+    * @param {number} [max=Infinity] - largest allowed value
+    * @returns {number}
+    */
+   #getNumberAttribute(name, fallback, min = -Infinity, max = Infinity) {
+      const option = this.getAttribute(name);
+      if (option === null) return fallback;
+
+      const value = Number(option);
+      if (option.trim() === '' || Number.isNaN(value) || value < min || value > max) {
+         throw new TypeError(`[UnraWheel] Invalid properties: ${name} must be a number between ${min} and ${max}`);
+      }
+
+      return value;
+   }
+
+   /**
+    * Check if a key press matches a key binding
+    * @param {KeyboardEvent} e
+    * @param {UnraWheelKeyBinding} binding
+    * @returns {boolean}
+    */
+   #matchesKeyBinding(e, binding) {
+      if (e.ctrlKey !== binding.ctrl || e.altKey !== binding.alt || e.metaKey !== binding.meta) return false;
+
+      if (binding.code !== undefined) return e.code === binding.code && e.shiftKey === binding.shift;
+
+      // single characters already tell if shift is held ('a' vs 'A'), unless shift is part of the binding
+      if (binding.key.length === 1) {
+         return binding.shift ? e.shiftKey && e.key.toLowerCase() === binding.key.toLowerCase() : e.key === binding.key;
+      }
+
+      return (e.key === binding.key || e.code === binding.key) && e.shiftKey === binding.shift;
+   }
+
+   /**
+    * Check if a key press should be handled, according to key-scope and keys-in-inputs
+    * @param {KeyboardEvent} e
+    * @returns {boolean}
+    */
+   #isKeyPressInScope(e) {
+      const path = e.composedPath();
+      const target = path[0];
+
+      if (!this.#keysInInputs && target instanceof Element) {
+         const isTextInput = target.matches(
+            'input:not([type=checkbox], [type=radio], [type=button], [type=submit], [type=reset], [type=range], [type=color], [type=file], [type=image]), textarea, select'
+         );
+         if (isTextInput || target.isContentEditable) return false;
+      }
+
+      if (this.#keyScope === 'global') return true;
+      if (this.#keyScope === 'focus-within') return path.includes(this);
+
+      const scopeElement = typeof this.#keyScope === 'string' ? document.getElementById(this.#keyScope) : this.#keyScope;
+      return scopeElement !== null && path.includes(scopeElement);
+   }
+
+   /**
+    * Check if focus is where key-scope lets the wheel react, for input that isn't a key press (the popup button)
+    * @returns {boolean}
+    */
+   #isFocusInKeyScope() {
+      if (this.#keyScope === 'global') return true;
+
+      const scopeElement = this.#keyScope === 'focus-within' ? this : typeof this.#keyScope === 'string' ? document.getElementById(this.#keyScope) : this.#keyScope;
+      return scopeElement !== null && scopeElement.matches(':focus-within');
+   }
+
+   /**
+    * Set where key presses select sections
+    * @param {'global'|'focus-within'|Element} scope - anywhere on the page, only while focus is inside the wheel,
+    *    or only while focus is inside an element
+    * @returns {void}
+    */
+   setKeyScope(scope) {
+      if (scope !== 'global' && scope !== 'focus-within' && !(scope instanceof Element)) {
+         throw new TypeError("[UnraWheel] Invalid key scope: expected 'global', 'focus-within' or an element");
+      }
+      this.#keyScope = scope;
+   }
+
+   /**
+    * Get label shown for the key of a section
+    * @param {UnraWheelSection} item
+    * @returns {string}
+    */
+   #getKeyLabel(item) {
+      const binding = this.#controller.getKeyBinding(item);
+      if (binding === undefined) return '';
+
+      // physical keys are labelled by what they type on the user's layout, or by their QWERTY letter
+      const code = binding.code ?? binding.key;
+      if (this.#keyboardLayout !== null && this.#keyboardLayout.has(code)) return item.key.replace(binding.key ?? item.key, this.#keyboardLayout.get(code));
+      if (binding.key !== undefined && /^(Key[A-Z]|Digit[0-9])$/.test(binding.key)) return item.key.replace(binding.key, binding.key.slice(-1).toLowerCase());
+      return item.key;
+   }
+
+   /**
+    * Level change callback of controller - pre-calculate geometry of the shown sections and render them
+    * @returns {void}
+    */
+   #onLevelChange = () => {
+      const prevAngles = this.#morphAngles ?? this.#sectionAngles;
+      const prevBackIndex = this.#drawnBackIndex;
+      const { sectionCount, backIndex } = this.#controller;
+
+      // the stick has to point at a section of the new level before it can be selected
+      this.#gamepadPointedIndex = -1;
+
+      // keep pointer on the back section, or on the nearest section that still exists
+      if (this.#sectionAngles.length !== sectionCount) {
+         const wasOnBackSection = this.#prevHoverIndex === prevBackIndex;
+         const lastItemSection = this.#controller.getSectionIndex(this.#controller.items.length - 1);
+         this.#prevHoverIndex = wasOnBackSection && backIndex !== -1 ? backIndex : Math.min(this.#prevHoverIndex, lastItemSection);
+      }
+
+      // a running transition is left unfinished, the next one starts from the angles it had drawn
+      cancelAnimationFrame(this.#morphFrame);
+      this.#finishMorph && this.#finishMorph(true);
+      this.#morphAngles = null;
+
+      this.#controller.previousPageItem.text = this.labels.previousPage;
+      this.#controller.nextPageItem.text = this.labels.nextPage;
+
+      // pre-calculate values used for rendering
+      const weights = Array.from({ length: sectionCount }, (_, i) => (i === backIndex ? this.#backWeight : (this.#controller.getItem(i)?.weight ?? 1)));
+      this.#sectionAngles = getSectionAngles(this.#getArc(), weights);
+      this.#drawnBackIndex = backIndex;
+      this.#keyDistanceFromCenter = getKeyDistance(sectionCount);
+
+      // sections set before the element is connected are rendered when it is
+      if (this.#isSetUp) this.#transition = this.#renderTransition(prevAngles, prevBackIndex);
+   };
+
+   /**
+    * Get how sections are laid out on the wheel
+    * @returns {UnraWheelArc}
+    */
+   #getArc() {
+      return { startAngle: this.#startAngle, sweepAngle: this.#sweepAngle, counterClockwise: this.#isCounterClockwise, backIndex: this.#controller.backIndex };
+   }
+
+   /**
+    * Get bounding box of the arc and center circle, so partial arcs don't leave empty space around them
+    * @returns {{x: number, y: number, width: number, height: number}} view box in svg units
+    */
+   #getViewBox() {
+      return getViewBox(this.#getArc());
+   }
+
+   /**
+    * Get size of one svg unit in pixels as currently rendered
+    * @returns {number}
+    */
+   #getPixelsPerUnit() {
+      const rect = this.svg.getBoundingClientRect();
+      return Math.min(rect.width / this.#viewBox.width, rect.height / this.#viewBox.height);
+   }
+
+   /**
+    * Render current level, animating sections from their previous angles if the section count changed
+    * @param {Array<{startAngle: number, endAngle: number}>} prevAngles - section angles before the level changed
+    * @param {number} prevBackIndex - back section index before the level changed
+    * @returns {Promise<void>} resolves when the transition has finished
+    */
+   #renderTransition(prevAngles, prevBackIndex) {
+      // rendering may replace the focused link, keep focus in the wheel
+      const hadFocus = this.shadowRoot.activeElement !== null;
+
+      const sectionCountChanged = prevAngles.length !== this.#controller.sectionCount;
+      this.#render(sectionCountChanged);
+
+      if (hadFocus) {
+         this.#focusSource = 'programmatic';
+         this.#focusSection(this.#controller.focusIndex);
+      }
+      this.#announceLevel();
+
+      if (!sectionCountChanged || prevAngles.length === 0) return Promise.resolve();
+      return this.#morph(prevAngles, prevBackIndex);
+   }
+
+   /**
+    * Animate sections from previous angles to the angles of the current level. Sections that exist on both levels
+    * morph into their new place, new sections grow from where the back section (or the last section) started, and
+    * removed sections leave a gap that closes up
+    * @param {Array<{startAngle: number, endAngle: number}>} prevAngles - section angles before the level changed
+    * @param {number} prevBackIndex - back section index before the level changed
+    * @returns {Promise<void>} resolves when the transition has finished
+    */
+   #morph(prevAngles, prevBackIndex) {
+      const targetAngles = this.#sectionAngles;
+      const prevBack = prevAngles[prevBackIndex];
+      const growAngle = prevBack ? prevBack.startAngle : prevAngles[prevAngles.length - 1].endAngle;
+      const prevItemCount = prevAngles.length - (prevBack ? 1 : 0);
+      const fromAngles = targetAngles.map((_, i) => {
+         if (i === this.#controller.backIndex && prevBack) return prevBack;
+
+         // item shown in section i was shown in the same position on the previous level
+         const itemIndex = this.#controller.backIndex !== -1 && i > this.#controller.backIndex ? i - 1 : i;
+         const prevIndex = prevBack && itemIndex >= prevBackIndex ? itemIndex + 1 : itemIndex;
+         if (i !== this.#controller.backIndex && itemIndex < prevItemCount) return prevAngles[prevIndex];
+         return { startAngle: growAngle, endAngle: growAngle };
+      });
+
+      const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      const duration = reduceMotion ? 0 : this.#morphDuration;
+
+      return new Promise((resolve) => {
+         const startTime = performance.now();
+
+         // interrupted transition leaves the angles to the level replacing it
+         this.#finishMorph = (interrupted = false) => {
+            this.#finishMorph = null;
+            this.sectionPointerElem.classList.remove('section-pointer--morphing');
+            if (!interrupted) {
+               this.#morphAngles = null;
+               this.#layout();
+            }
+            resolve();
+         };
+
+         const step = (time) => {
+            const progress = duration === 0 ? 1 : Math.min(1, (time - startTime) / duration);
+            if (progress === 1) {
+               this.#finishMorph();
+               return;
+            }
+
+            // ease out cubic
+            const t = 1 - Math.pow(1 - progress, 3);
+            const lerp = (from, to) => from + (to - from) * t;
+            this.#morphAngles = targetAngles.map(({ startAngle, endAngle }, i) => ({
+               startAngle: lerp(fromAngles[i].startAngle, startAngle),
+               endAngle: lerp(fromAngles[i].endAngle, endAngle),
+            }));
+            this.#layout();
+
+            this.#morphFrame = requestAnimationFrame(step);
+         };
+
+         // pointer is moved every frame, so its own transition would only lag behind
+         this.sectionPointerElem.classList.add('section-pointer--morphing');
+         step(startTime);
+      });
+   }
+
+   /**
+    * Announce a message to screen readers
+    * @param {string} message
+    * @returns {void}
+    */
+   #announce(message) {
+      if (this.#liveRegion === null) return;
+      this.#liveRegion.textContent = message;
+   }
+
+   /**
+    * Announce a selection to screen readers. The wheel returns to the root level right after, which mustn't replace
+    * the message with the level announcement
+    * @param {string} message
+    * @returns {void}
+    */
+   #announceSelection(message) {
+      this.#announce(message);
+      this.#isAnnouncingSelection = true;
+      queueMicrotask(() => (this.#isAnnouncingSelection = false));
+   }
+
+   /**
+    * Announce current level and its amount of options to screen readers
+    * @returns {void}
+    */
+   #announceLevel() {
+      if (this.#isAnnouncingSelection) return;
+      const path = this.#controller.parents.length > 0 ? this.#controller.parents.map((item) => item.text).join(' > ') : this.labels.menu;
+      let text = this.labels.level.replace('{path}', path).replace('{count}', this.#controller.levelItems.length);
+      if (this.#controller.pageCount > 1) text += `, ${this.labels.page.replace('{page}', this.#controller.page + 1).replace('{count}', this.#controller.pageCount)}`;
+      this.#announce(text);
+   }
+
+   /**
+    * Set section data and render. With a promise, the wheel shows a loading indicator until it resolves. With a
+    * loader function, the root level is loaded with it, and so are the children of every selected section that
+    * doesn't have children yet
+    * @param {string|UnraWheelData|Promise<string|UnraWheelData>|UnraWheelLoader} data - sections as JSON string
+    *    or array, a promise of them, or a loader function
+    * @returns {Promise<void>} resolves when the wheel has finished animating to the new section count (or loading
+    *    failed)
+    */
+   setSections(data) {
+      return this.#controller.setSections(data).then(() => this.#transition);
+   }
+
+   /**
+    * Read sections from <unrawheel-item> children; text of a section is the item's own text, without the text of
+    * its sub-items
+    * @param {Element} parent - wheel or item whose child items to read
+    * @returns {UnraWheelData} unparsed sections, empty if there are no items
+    */
+   #readItems(parent) {
+      return [...parent.children]
+         .filter((el) => el.localName === 'unrawheel-item')
+         .map((el) => {
+            const texts = [...el.childNodes].filter((node) => node.nodeType === Node.TEXT_NODE).map((node) => node.textContent);
+            const item = { text: texts.join('').replace(/\s+/g, ' ').trim() };
+
+            ['value', 'key', 'image', 'description', 'badge'].forEach((name) => {
+               if (el.hasAttribute(name)) item[name] = el.getAttribute(name);
+            });
+            if (el.hasAttribute('disabled')) item.disabled = true;
+            if (el.hasAttribute('weight')) item.weight = Number(el.getAttribute('weight'));
+
+            const children = this.#readItems(el);
+            if (children.length > 0) item.children = children;
+            return item;
+         });
+   }
+
+   /**
+    * Mutation callback - set sections again when <unrawheel-item> children are added, removed or changed
+    * @param {MutationRecord[]} records
+    * @returns {void}
+    */
+   #onItemsMutated = (records) => {
+      // data attribute takes precedence over items, and items are read when the element is connected
+      if (this.hasAttribute('data') || !this.#isSetUp) return;
+
+      const isItem = (node) => node.nodeType === Node.ELEMENT_NODE && node.localName === 'unrawheel-item';
+      const itemsChanged = records.some((record) => {
+         const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+         return (target !== this && target?.closest('unrawheel-item')) || [...record.addedNodes, ...record.removedNodes].some(isItem);
+      });
+      if (!itemsChanged) return;
+
+      // removing every item keeps the last sections, as a wheel can't be empty
+      const items = this.#readItems(this);
+      if (items.length === 0) return;
+
+      // invalid items keep the previous sections, and are reported like an invalid data attribute
+      try {
+         this.setSections(items);
+      } catch (error) {
+         reportError(error);
+      }
+   };
+
+   /**
+    * Load state change callback of controller - show loading indicator or error in the center
+    * @param {CustomEvent<{state: 'loading'|'error'|null}>} e
+    * @returns {void}
+    */
+   #onLoadStateChange = (e) => {
+      this.#updateLoadStateClasses();
+      if (e.detail.state === 'loading') this.#announce(this.labels.loading);
+      if (e.detail.state === 'error') this.#announce(this.labels.loadError);
+   };
+
+   /**
+    * Show load state on the container (once it has been rendered)
+    * @returns {void}
+    */
+   #updateLoadStateClasses() {
+      if (this.#container === null) return;
+      this.#container.classList[this.#controller.loadState === 'loading' ? 'add' : 'remove']('unrawheel--loading');
+      this.#container.classList[this.#controller.loadState === 'error' ? 'add' : 'remove']('unrawheel--error');
+      this.#container.classList[this.#controller.canRetry ? 'add' : 'remove']('unrawheel--retry');
+   }
+
+   /**
+    * Status click callback - retry failed load
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onStatusClick = (e) => {
+      this.#controller.retry();
+   };
+
+   /**
+    * Toggle lock/unlock wheel for user input
+    * @param {boolean} toggleLock
+    */
+   toggleLockWheel(toggleLock) {
+      this.#controller.setLocked(toggleLock);
+      // reflected also when unchanged, e.g. when locking a wheel that's locked as it has no sections yet
+      this.toggleAttribute('locked', toggleLock);
+   }
+
+   /**
+    * Lock change callback of controller - reflect lock state and fire lock-change
+    * @param {CustomEvent<{locked: boolean, source: UnraWheelInputSource}>} e
+    * @returns {void}
+    */
+   #onLockChange = (e) => {
+      this.toggleAttribute('locked', e.detail.locked);
+
+      // enable/disable pointer events
+      this.svg?.classList[e.detail.locked ? 'add' : 'remove']('unrawheel--locked');
+
+      // make links selectable/unselectable
+      this.#updateLinkTabIndices();
+
+      this.#forwardEvent(e);
+   };
+
+   /**
+    * Whether the wheel is locked for user input, reflected to the locked attribute. Auto-lock and forms change it too
+    * @type {boolean}
+    */
+   get locked() {
+      return this.#controller.locked;
+   }
+
+   set locked(locked) {
+      this.toggleLockWheel(Boolean(locked));
+   }
+
+   /**
+    * Number of sections (without the back section) set with section-count, null if the count follows the data
+    * @type {number|null}
+    */
+   get sectionCount() {
+      return this.hasAttribute('section-count') ? Number(this.getAttribute('section-count')) : null;
+   }
+
+   set sectionCount(sectionCount) {
+      if (sectionCount === null) this.removeAttribute('section-count');
+      else this.setAttribute('section-count', String(sectionCount));
+   }
+
+   /**
+    * Whether the wheel locks when a selection is made and unlocks when new sections are set
+    * @type {boolean}
+    */
+   get autoLock() {
+      return this.hasAttribute('auto-lock');
+   }
+
+   set autoLock(autoLock) {
+      this.toggleAttribute('auto-lock', Boolean(autoLock));
+   }
+
+   /**
+    * Name of the value in form submissions
+    * @type {string}
+    */
+   get name() {
+      return this.getAttribute('name') ?? '';
+   }
+
+   set name(name) {
+      this.setAttribute('name', name);
+   }
+
+   /**
+    * Value of the last selected section without children, or values of the sections selected on the way to it
+    * with form-value="path" (in sequence mode, the last confirmed sequence); null if nothing has been selected
+    * @type {*|Array<*>|null}
+    */
+   get value() {
+      return this.#value;
+   }
+
+   set value(value) {
+      if (this.#submitPath && value !== null && !Array.isArray(value)) {
+         throw new TypeError('[UnraWheel] Invalid value: expected an array of values (form-value is path)');
+      }
+      this.#value = value;
+      this.#updateFormValue();
+   }
+
+   /**
+    * Whether a section must be selected before the form can be submitted
+    * @type {boolean}
+    */
+   get required() {
+      return this.hasAttribute('required');
+   }
+
+   set required(required) {
+      this.toggleAttribute('required', Boolean(required));
+   }
+
+   /** @type {HTMLFormElement|null} */
+   get form() {
+      return this.#internals.form;
+   }
+
+   /** @type {ValidityState} */
+   get validity() {
+      return this.#internals.validity;
+   }
+
+   /** @type {string} */
+   get validationMessage() {
+      return this.#internals.validationMessage;
+   }
+
+   /** @type {boolean} */
+   get willValidate() {
+      return this.#internals.willValidate;
+   }
+
+   /**
+    * Check if value satisfies constraints (required)
+    * @returns {boolean}
+    */
+   checkValidity() {
+      return this.#internals.checkValidity();
+   }
+
+   /**
+    * Check if value satisfies constraints (required), and show the problem to the user if it doesn't
+    * @returns {boolean}
+    */
+   reportValidity() {
+      return this.#internals.reportValidity();
+   }
+
+   /**
+    * Submit value with forms and update validity
+    * @returns {void}
+    */
+   #updateFormValue() {
+      const toString = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+      // the state restored after navigation keeps the value as JSON, so a string like '123' stays a string
+      const state = JSON.stringify({ value: this.#value });
+
+      if (this.#value === null) {
+         this.#internals.setFormValue(null);
+      } else if (this.#submitPath) {
+         // each value of the path is submitted under the name, like the options of <select multiple>
+         const data = new FormData();
+         this.#value.forEach((value) => data.append(this.name, toString(value)));
+         this.#internals.setFormValue(data, state);
+      } else {
+         this.#internals.setFormValue(toString(this.#value), state);
+      }
+
+      if (this.required && this.#value === null) this.#internals.setValidity({ valueMissing: true }, this.labels.required);
+      else this.#internals.setValidity({});
+   }
+
+   /**
+    * Form reset callback - clear value and return to root level
+    * @returns {void}
+    */
+   formResetCallback() {
+      this.value = null;
+      this.#controller.reset();
+   }
+
+   /**
+    * Form disabled callback - lock wheel while it (or its fieldset) is disabled
+    * @param {boolean} disabled
+    * @returns {void}
+    */
+   formDisabledCallback(disabled) {
+      this.#controller.setDisabled(disabled);
+   }
+
+   /**
+    * Form state restore callback - restore value after navigation or autofill
+    * @param {string|FormData|null} state - state saved with the value after navigation, submitted value on autofill
+    * @param {'restore'|'autocomplete'} mode
+    * @returns {void}
+    */
+   formStateRestoreCallback(state, mode) {
+      if (state === null) this.value = null;
+      else if (mode === 'restore') this.value = JSON.parse(state).value;
+      // autofill only knows the submitted strings
+      else this.value = state instanceof FormData ? state.getAll(this.name) : state;
+   }
+
+   /**
+    * Controller event callback - fire the event on the element, keeping it from taking effect if a listener prevents it
+    * @param {Event} e
+    * @returns {void}
+    */
+   #forwardEvent = (e) => {
+      if (!this.dispatchEvent(new CustomEvent(e.type, { detail: e.detail, cancelable: e.cancelable }))) e.preventDefault();
+   };
+
+   /**
+    * Get input source of a mouse or pointer event
+    * @param {MouseEvent|PointerEvent} e
+    * @returns {UnraWheelInputSource}
+    */
+   #getInputSource(e) {
+      if (e.pointerType === 'touch' || e.pointerType === 'pen') return 'touch';
+      // click without pointer (detail 0) is fired by the keyboard
+      return e.type === 'click' && e.detail === 0 ? 'keyboard' : 'mouse';
+   }
+
+   /**
+    * Get tabindex of section link; only the focused section can be tabbed to (roving tabindex), and links of
+    * disabled sections and locked wheels can't be focused
+    * @param {number} index - section index
+    * @returns {'0'|'-1'}
+    */
+   #getLinkTabIndex(index) {
+      return !this.#controller.locked && index === this.#controller.focusIndex && this.#controller.isSelectable(index) ? '0' : '-1';
+   }
+
+   /**
+    * Update tabindex of every section link
+    * @returns {void}
+    */
+   #updateLinkTabIndices() {
+      this.#elements.links.forEach((el, i) => {
+         el.setAttribute('tabindex', this.#getLinkTabIndex(i));
+      });
+      if ((this.#controller.backPosition === 'center' || this.#centerAction !== 'none') && this.#centerElem) this.#centerElem.setAttribute('tabindex', this.#controller.locked ? '-1' : '0');
+   }
+
+   /**
+    * Move keyboard focus to a section
+    * @param {number} index - section index
+    * @returns {void}
+    */
+   #focusSection(index) {
+      // the controller follows focus from the link's focus event
+      if (!this.#controller.locked) this.#elements.links[index].focus();
+   }
+
+   /**
+    * Key down callback of menu - handle moving focus around the wheel and selecting the focused section
+    * @param {KeyboardEvent} e
+    * @returns {void}
+    */
+   #onMenuKeyDown = (e) => {
+      if (this.#controller.locked || e.ctrlKey || e.altKey || e.metaKey) return;
+
+      switch (e.key) {
+         case 'ArrowRight':
+         case 'ArrowDown':
+            this.#focusSection(this.#controller.getNextSelectableSection(this.#controller.focusIndex, 1));
+            break;
+         case 'ArrowLeft':
+         case 'ArrowUp':
+            this.#focusSection(this.#controller.getNextSelectableSection(this.#controller.focusIndex, -1));
+            break;
+         case 'Home':
+            this.#focusSection(this.#controller.getNextSelectableSection(this.#controller.sectionCount - 1, 1));
+            break;
+         case 'End':
+            this.#focusSection(this.#controller.getNextSelectableSection(0, -1));
+            break;
+         case 'Enter':
+         case ' ':
+            this.#onSectionSelect(this.#controller.focusIndex, 'keyboard');
+            break;
+         default:
+            return;
+      }
+
+      e.preventDefault();
+      this.#menuKeyEvents.add(e);
+   };
+
+   /**
+    * Focus callback of section link - point section pointer at focused section
+    * @param {FocusEvent} e
+    * @returns {void}
+    */
+   #onSectionFocus = (e) => {
+      const source = this.#focusSource ?? 'keyboard';
+      this.#focusSource = null;
+
+      this.#controller.focus(Number(e.target.dataset.section), source);
+   };
+
+   /**
+    * Section focus callback of controller - point section pointer at focused section and fire section-focus
+    * @param {CustomEvent<UnraWheelSectionDetail>} e
+    * @returns {void}
+    */
+   #onFocusChange = (e) => {
+      this.#updateLinkTabIndices();
+
+      this.#isFocusPointing = true;
+      this.#pointAtSection(e.detail.index, e.detail.source);
+      this.#updatePointerVisibility();
+
+      this.#forwardEvent(e);
+   };
+
+   /**
+    * Blur callback of section link - hide section pointer if focus left the wheel
+    * @param {FocusEvent} e
+    * @returns {void}
+    */
+   #onSectionBlur = (e) => {
+      this.#isFocusPointing = false;
+      this.#updatePointerVisibility();
+   };
+
+   /**
+    * Key press callback - handle section selection via key press
+    * @param {KeyboardEvent} e
+    * @returns {void}
+    */
+   #onKeyPress = (e) => {
+      this.#suppressClick = false;
+      this.#focusSource = null;
+
+      if (this.#menuKeyEvents.has(e) || !this.#isKeyPressInScope(e)) return;
+
+      if (this.#isPopup && this.#popupKey !== null && this.#matchesKeyBinding(e, parseKeyBinding(this.#popupKey))) {
+         if (this.#isOpen) return;
+         const { x, y } = this.#lastPointerPosition ?? { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+         this.open(x, y);
+         return;
+      }
+
+      if (this.#isPopup && this.#isOpen && e.key === 'Escape') {
+         this.#close('keyboard');
+         return;
+      }
+
+      // going back while the next level loads discards it
+      const isBackKey = this.#matchesKeyBinding(e, parseKeyBinding(this.#controller.backKey));
+      if (isBackKey && this.#controller.loadState === 'loading' && !this.#controller.locked) {
+         this.#selectBack('keyboard');
+         return;
+      }
+
+      if (!this.#acceptsInput()) return;
+
+      if (isBackKey) {
+         this.#selectBack('keyboard');
+         return;
+      }
+
+      const index = this.#controller.items.findIndex((item) => {
+         const keyBinding = this.#controller.getKeyBinding(item);
+         return keyBinding !== undefined && this.#matchesKeyBinding(e, keyBinding);
+      });
+      if (index !== -1) {
+         this.#onSectionSelect(this.#controller.getSectionIndex(index), 'keyboard');
+         return;
+      }
+
+      // page keys turn the page also when there's no room for the page sections
+      const pageItem = [this.#controller.previousPageItem, this.#controller.nextPageItem].find((item) => this.#matchesKeyBinding(e, this.#controller.getKeyBinding(item)));
+      if (this.#controller.pageCount > 1 && pageItem !== undefined) {
+         this.#controller.turnPage(pageItem === this.#controller.nextPageItem ? 1 : -1, 'keyboard');
+         return;
+      }
+
+      // sequence is confirmed with Enter unless a section is bound to it, or Enter activates a focused control
+      const target = e.composedPath()[0];
+      const isControl = target instanceof Element && target.matches('a[href], button, input, select, textarea, summary, [role=button], [role=link]');
+      if (this.#controller.sequence && e.key === 'Enter' && !isControl) {
+         this.#controller.confirm('keyboard');
+         return;
+      }
+
+      // sections on outer rings are selected by holding shift (first outer ring) or shift + alt (second outer ring)
+      for (let ring = 1; ring < this.#ringCount; ring++) {
+         const ringIndex = this.#outerRings[ring - 1].items.findIndex((item) => {
+            const binding = this.#controller.getKeyBinding(item);
+            return binding !== undefined && this.#matchesKeyBinding(e, { ...binding, shift: true, alt: binding.alt || ring > 1 });
+         });
+         if (ringIndex !== -1) {
+            this.#selectRingSection(ring, ringIndex, 'keyboard');
+            return;
+         }
+      }
+   };
+
+   /**
+    * Font load callback - fit texts again with the loaded fonts
+    * @returns {void}
+    */
+   #onFontsLoaded = () => {
+      if (this.#controller.items !== null) this.#layout();
+   };
+
+   /**
+    * Check if wheel currently reacts to user input
+    * @returns {boolean}
+    */
+   #acceptsInput() {
+      return !this.#controller.locked && this.#controller.items !== null && this.#controller.loadState !== 'loading' && (!this.#isPopup || this.#isOpen);
+   }
+
+   /**
+    * Mouse click callback - handle section selection via mouse click
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onSectionClick = (e) => {
+      // release of a gesture stroke isn't a click
+      if (this.#suppressClick) {
+         this.#suppressClick = false;
+         return;
+      }
+
+      const index = Number(e.target.dataset.section);
+      this.#onSectionSelect(index, this.#getInputSource(e));
+   };
+
+   /**
+    * Mouse hover callback - handle moving section pointer
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onSectionHover = (e) => {
+      this.#pointAtSection(Number(e.target.getAttribute('data-section')), this.#getInputSource(e));
+   };
+
+   /**
+    * Rotate section pointer to a section along the shortest way around the wheel
+    * @param {number} index - section index
+    * @param {UnraWheelInputSource} source - input used to point at the section
+    * @returns {void}
+    */
+   #pointAtSection(index, source) {
+      if (index === this.#prevHoverIndex || index < 0) return;
+
+      if (index !== this.#controller.backIndex && this.#controller.getItem(index) === undefined) return;
+
+      this.#prevHoverIndex = index;
+      this.#updateSectionPointer();
+      this.#updateOuterRings();
+      this.#updateCenterContent();
+
+      this.dispatchEvent(new CustomEvent('section-hover', { detail: this.#controller.getSectionDetail(index, source) }));
+   }
+
+   /**
+    * Get inner and outer radius of a ring
+    * @param {number} ring - ring index, 0 being the innermost ring
+    * @returns {{inner: number, outer: number}}
+    */
+   #getRingRadii(ring) {
+      const outer = this.#radiusScale - (this.#ringCount - 1 - ring) * this.#ringWidth;
+      return { inner: ring === 0 ? 0 : outer - this.#ringWidth, outer };
+   }
+
+   /**
+    * Map a distance from center on a single-ring wheel to the innermost ring, which is smaller with several rings
+    * @param {number} distance
+    * @returns {number}
+    */
+   #toInnerRing(distance) {
+      const scale = (this.#getRingRadii(0).outer - this.#centerRadius) / (this.#radiusScale - this.#centerRadius);
+      return this.#centerRadius + (distance - this.#centerRadius) * scale;
+   }
+
+   /**
+    * Get section whose children are previewed on an outer ring and its angles
+    * @param {number} ring - outer ring index (1..)
+    * @returns {{item: UnraWheelSection, angles: {startAngle: number, endAngle: number}}|null} null if nothing is pointed
+    *    at on the ring inside, or the pointed section is disabled
+    */
+   #getOuterRingParent(ring) {
+      let item;
+      let angles;
+      if (ring === 1) {
+         item = this.#controller.getItem(this.#prevHoverIndex);
+         angles = this.#getSectionAngles(this.#prevHoverIndex);
+      } else {
+         const innerRing = this.#outerRings[ring - 2];
+         item = innerRing.items[innerRing.pointedIndex];
+         angles = innerRing.angles[innerRing.pointedIndex];
+      }
+
+      return item === undefined || item.disabled ? null : { item, angles };
+   }
+
+   /**
+    * Show children of the pointed sections on outer rings, recreating ring sections that changed
+    * @returns {void}
+    */
+   #updateOuterRings() {
+      this.#outerRings.forEach((ring, i) => {
+         const parent = this.#getOuterRingParent(i + 1);
+         const items = parent?.item.children ?? [];
+         if (items === ring.items || (items.length === 0 && ring.items.length === 0)) return;
+
+         ring.items = items;
+         ring.pointedIndex = -1;
+         ring.sections = [];
+         ring.keyTexts = [];
+         ring.contentTexts = [];
+
+         const root = document.createDocumentFragment();
+         items.forEach((item, index) => {
+            const section = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            section.setAttribute('class', 'ring-section');
+            section.setAttribute('part', 'ring-section');
+            section.setAttribute('data-ring', i + 1);
+            section.setAttribute('data-section', index);
+            if (item.disabled) section.classList.add('ring-section--disabled');
+            section.addEventListener('mouseenter', this.#onRingSectionHover);
+            section.addEventListener('click', this.#onRingSectionClick);
+            root.appendChild(section);
+            ring.sections.push(section);
+
+            const keyText = this.#createTextElement('key');
+            keyText.textContent = this.#getKeyLabel(item);
+            const contentText = this.#createTextElement('content');
+            contentText.textContent = item.text;
+            [keyText, contentText].forEach((el) => item.disabled && el.classList.add('section-content--disabled'));
+            ring.keyTexts.push(keyText);
+            ring.contentTexts.push(contentText);
+         });
+
+         // texts after sections so they render on top
+         ring.keyTexts.forEach((el, index) => root.append(el, ring.contentTexts[index]));
+         ring.group.replaceChildren(root);
+      });
+
+      this.#layoutOuterRings();
+   }
+
+   /**
+    * Position outer ring sections within the angles of their parent section
+    * @returns {void}
+    */
+   #layoutOuterRings() {
+      const direction = this.#isCounterClockwise ? -1 : 1;
+
+      this.#outerRings.forEach((ring, i) => {
+         const parent = this.#getOuterRingParent(i + 1);
+         if (ring.items.length === 0 || parent === null) return;
+
+         const { angles } = parent;
+         const { inner, outer } = this.#getRingRadii(i + 1);
+         const first = direction === 1 ? angles.startAngle : angles.endAngle;
+         const totalWeight = ring.items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+         const step = (angles.endAngle - angles.startAngle) / totalWeight;
+
+         let weightSoFar = 0;
+         ring.angles = ring.items.map((item) => {
+            const from = first + direction * weightSoFar * step;
+            weightSoFar += item.weight ?? 1;
+            const to = first + direction * weightSoFar * step;
+            return { startAngle: Math.min(from, to), endAngle: Math.max(from, to) };
+         });
+
+         ring.angles.forEach(({ startAngle, endAngle }, index) => {
+            ring.sections[index].setAttribute('d', getSectorPath(startAngle, endAngle, outer, inner));
+
+            const midAngle = (startAngle + endAngle) / 2;
+            const keyDistance = inner + this.#ringWidth * 0.3;
+            const contentDistance = inner + this.#ringWidth * 0.65;
+            ring.keyTexts[index].setAttribute('x', Math.cos(midAngle) * keyDistance);
+            ring.keyTexts[index].setAttribute('y', Math.sin(midAngle) * keyDistance);
+            ring.contentTexts[index].setAttribute('x', Math.cos(midAngle) * contentDistance);
+            ring.contentTexts[index].setAttribute('y', Math.sin(midAngle) * contentDistance);
+         });
+      });
+   }
+
+   /**
+    * Highlight a section on an outer ring and preview its children on the next ring
+    * @param {number} ring - outer ring index (1..)
+    * @param {number} index - section index within the ring
+    * @returns {void}
+    */
+   #pointAtRingSection(ring, index) {
+      const outerRing = this.#outerRings[ring - 1];
+      if (outerRing.pointedIndex === index) return;
+
+      outerRing.pointedIndex = index;
+      outerRing.sections.forEach((el, i) => el.classList[i === index ? 'add' : 'remove']('ring-section--pointed'));
+      this.#updateOuterRings();
+   }
+
+   /**
+    * Select a section on an outer ring by selecting each pointed section on the rings inside it first
+    * @param {number} ring - outer ring index (1..)
+    * @param {number} index - section index within the ring
+    * @param {UnraWheelInputSource} source - input used to select the section
+    * @returns {void}
+    */
+   #selectRingSection(ring, index, source) {
+      // ring sections show every child of their parent, which may be on another page of the level once it's shown
+      const itemIndices = [...this.#outerRings.slice(0, ring - 1).map(({ pointedIndex }) => pointedIndex), index];
+
+      if (this.#controller.locked || !this.#onSectionSelect(this.#prevHoverIndex, source)) return;
+      for (const itemIndex of itemIndices) {
+         const sectionIndex = this.#controller.showItem(itemIndex, source);
+         if (sectionIndex === -1 || this.#controller.locked || !this.#onSectionSelect(sectionIndex, source)) return;
+      }
+   }
+
+   /**
+    * Mouse hover callback of outer ring section
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onRingSectionHover = (e) => {
+      this.#pointAtRingSection(Number(e.target.dataset.ring), Number(e.target.dataset.section));
+   };
+
+   /**
+    * Mouse click callback of outer ring section
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onRingSectionClick = (e) => {
+      if (this.#suppressClick) {
+         this.#suppressClick = false;
+         return;
+      }
+
+      this.#selectRingSection(Number(e.target.dataset.ring), Number(e.target.dataset.section), this.#getInputSource(e));
+   };
+
+   /**
+    * Shape section pointer like the pointed section and rotate it there along the shortest way around the wheel
+    * (or straight along the arc for partial arcs)
+    * @returns {void}
+    */
+   #updateSectionPointer() {
+      const first = this.#getSectionAngles(0);
+      const pointed = this.#getSectionAngles(this.#prevHoverIndex);
+
+      // pointer is drawn at the first section and rotated into place, so the rotation can be transitioned
+      this.sectionPointerElem.setAttribute('d', getSectorPath(first.startAngle, first.startAngle + pointed.endAngle - pointed.startAngle, this.#getRingRadii(0).outer));
+
+      const targetRotation = ((pointed.startAngle - first.startAngle) * 180) / Math.PI;
+      // partial arcs rotate directly so the pointer doesn't cross the empty part of the circle
+      const delta = this.#sweepAngle < 360 ? targetRotation - this.#currSectionPointerRotation : ((((targetRotation - this.#currSectionPointerRotation) % 360) + 540) % 360) - 180;
+      const newRotation = this.#currSectionPointerRotation + delta;
+      this.sectionPointerElem.style.transform = `rotate(${newRotation.toString()}deg)`;
+
+      this.#currSectionPointerRotation = newRotation;
+   }
+
+   /**
+    * Mouse enter callback - show section pointer
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onMouseEnter = (e) => {
+      this.#isMouseOver = true;
+      this.#updatePointerVisibility();
+   };
+
+   /**
+    * Mouse leave callback - hide section pointer
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onMouseLeave = (e) => {
+      this.#isMouseOver = false;
+      this.#updatePointerVisibility();
+   };
+
+   /**
+    * Show section pointer while mouse is over the wheel or gamepad stick is tilted, hide it otherwise
+    * @returns {void}
+    */
+   #updatePointerVisibility() {
+      const show = this.#isMouseOver || this.#isGamepadPointing || this.#isPopupPointing || this.#isFocusPointing;
+      this.sectionPointerElem && this.sectionPointerElem.classList[show ? 'add' : 'remove']('section-pointer--show');
+      this.#updateCenterContent();
+   }
+
+   /**
+    * Get index of the section in a direction from the wheel center
+    * @param {number} angle - direction in radians (svg coordinates, y-axis pointing downwards)
+    * @returns {number} section index, -1 if there is no section in that direction (partial arcs)
+    */
+   #angleToSectionIndex(angle) {
+      return this.#sectionAngles.findIndex(({ startAngle, endAngle }) => {
+         const angleFromStart = (((angle - startAngle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+         return angleFromStart < endAngle - startAngle;
+      });
+   }
+
+   /**
+    * Open popup wheel centered at a position (popup mode only)
+    * @param {number} x - x-pos of wheel center in viewport pixels
+    * @param {number} y - y-pos of wheel center in viewport pixels
+    * @returns {void}
+    */
+   open(x, y) {
+      if (!this.#isPopup || this.#controller.items === null) return;
+
+      this.#popupCenter = { x, y };
+      this.#container.style.left = `${x}px`;
+      this.#container.style.top = `${y}px`;
+
+      const wasOpen = this.#isOpen;
+      this.#isOpen = true;
+      this.#container.classList.add('unrawheel--open');
+
+      // partial arcs aren't centered in their box; move the box so the wheel center is at the given position
+      const rect = this.svg.getBoundingClientRect();
+      const scale = this.#getPixelsPerUnit();
+      if (scale > 0) {
+         const centerX = rect.left + (rect.width - this.#viewBox.width * scale) / 2 - this.#viewBox.x * scale;
+         const centerY = rect.top + (rect.height - this.#viewBox.height * scale) / 2 - this.#viewBox.y * scale;
+         this.#container.style.left = `${2 * x - centerX}px`;
+         this.#container.style.top = `${2 * y - centerY}px`;
+      }
+      this.#isPopupPointing = false;
+      this.#updatePointerVisibility();
+
+      if (!wasOpen) this.dispatchEvent(new CustomEvent('open', { detail: { x, y } }));
+   }
+
+   /**
+    * Close popup wheel and return to root level (popup mode only)
+    * @returns {void}
+    */
+   close() {
+      this.#close('programmatic');
+   }
+
+   /**
+    * Close popup wheel and return to root level
+    * @param {UnraWheelInputSource} source - input that closed the wheel
+    * @returns {void}
+    */
+   #close(source) {
+      if (!this.#isPopup || !this.#isOpen) return;
+
+      this.#isOpen = false;
+      this.#container.classList.remove('unrawheel--open');
+      // hidden wheel doesn't receive mouseleave
+      this.#isMouseOver = false;
+      this.#isPopupPointing = false;
+      this.#updatePointerVisibility();
+
+      // next time the popup opens on the root level
+      this.#controller.reset(source);
+
+      this.dispatchEvent(new CustomEvent('close'));
+   }
+
+   /**
+    * Pointer move callback - track pointer and highlight section in pointer direction while popup is open
+    * @param {PointerEvent} e
+    * @returns {void}
+    */
+   #onPopupPointerMove = (e) => {
+      this.#lastPointerPosition = { x: e.clientX, y: e.clientY };
+      if (!this.#isOpen || this.#controller.locked) return;
+
+      const dx = e.clientX - this.#popupCenter.x;
+      const dy = e.clientY - this.#popupCenter.y;
+      const pixelsPerUnit = this.#getPixelsPerUnit();
+      const deadZone = pixelsPerUnit * this.#centerRadius;
+      const angle = Math.atan2(dy, dx);
+      const index = this.#angleToSectionIndex(angle);
+
+      const wasPointing = this.#isPopupPointing;
+      this.#isPopupPointing = Math.hypot(dx, dy) > deadZone && index !== -1;
+      if (wasPointing !== this.#isPopupPointing) this.#updatePointerVisibility();
+
+      this.#popupRing = 0;
+      if (!this.#isPopupPointing) return;
+      const source = this.#getInputSource(e);
+      this.#pointAtSection(index, source);
+
+      // moving outwards points at sections on the outer rings in the same direction
+      const distance = pixelsPerUnit > 0 ? Math.hypot(dx, dy) / pixelsPerUnit : 0;
+      for (let ring = 1; ring < this.#ringCount && distance > this.#getRingRadii(ring).inner; ring++) {
+         const ringIndex = this.#outerRings[ring - 1].angles.findIndex(({ startAngle, endAngle }) => {
+            const angleFromStart = (((angle - startAngle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            return angleFromStart < endAngle - startAngle;
+         });
+         if (ringIndex === -1 || this.#outerRings[ring - 1].items.length === 0) break;
+
+         this.#pointAtRingSection(ring, ringIndex);
+         this.#popupRing = ring;
+      }
+   };
+
+   /**
+    * Popup trigger release - select section in pointer direction, or cancel if pointer is in the center
+    * @param {UnraWheelInputSource} source - input of the released trigger
+    * @returns {void}
+    */
+   #onPopupRelease(source) {
+      if (!this.#isOpen) return;
+
+      // pointer doesn't move onto blank sections; #onSectionSelect ignores them
+      const index = this.#prevHoverIndex;
+      const ring = this.#popupRing;
+      const isSelectable = this.#isPopupPointing && !this.#controller.locked;
+      this.#isPopupPointing = false;
+      this.#popupRing = 0;
+      this.#updatePointerVisibility();
+
+      // selecting a section with children keeps the wheel open on the next level
+      if (isSelectable && ring > 0) this.#selectRingSection(ring, this.#outerRings[ring - 1].pointedIndex, source);
+      else if (isSelectable) this.#onSectionSelect(index, source);
+      else this.#close(source);
+   }
+
+   /**
+    * Key up callback - release popup key
+    * @param {KeyboardEvent} e
+    * @returns {void}
+    */
+   #onPopupKeyUp = (e) => {
+      if (this.#popupKey === null) return;
+
+      // modifiers of the binding may be released before its key
+      const binding = parseKeyBinding(this.#popupKey);
+      const { ctrlKey: ctrl, altKey: alt, metaKey: meta, shiftKey: shift } = e;
+      if (this.#matchesKeyBinding(e, { ...binding, ctrl, alt, meta, shift })) this.#onPopupRelease('keyboard');
+   };
+
+   /**
+    * Mouse down callback - open popup wheel at pointer when popup button is pressed
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onPopupMouseDown = (e) => {
+      if (this.#isOpen || e.button !== this.#popupButton) return;
+      if (this.#controller.locked || !this.#isFocusInKeyScope()) return;
+
+      // with gestures, wheel is only shown if the press is held still
+      const { clientX: x, clientY: y } = e;
+      if (this.#gestureEnabled) this.#startGesture(e, () => this.open(x, y));
+      else this.open(x, y);
+
+      // the press only loses its default action (e.g. selecting text) when the wheel uses it
+      if (this.#isOpen || this.#gesture !== null) e.preventDefault();
+   };
+
+   /**
+    * Mouse up callback - release popup button
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onPopupMouseUp = (e) => {
+      if (e.button === this.#popupButton) this.#onPopupRelease(this.#getInputSource(e));
+   };
+
+   /**
+    * Context menu callback - keep context menu from opening when right mouse button opens the popup
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onPopupContextMenu = (e) => {
+      if (this.#popupButton === 2) e.preventDefault();
+   };
+
+   /**
+    * Pointer down callback - start tracking a gesture on the inline wheel
+    * @param {PointerEvent} e
+    * @returns {void}
+    */
+   #onGesturePointerDown = (e) => {
+      this.#suppressClick = false;
+      // a press may focus a section
+      this.#focusSource = this.#getInputSource(e);
+      if (!this.#gestureEnabled || this.#isPopup || !this.#acceptsInput() || !e.isPrimary || e.button !== 0) return;
+      this.#startGesture(e, null);
+   };
+
+   /**
+    * Start tracking a gesture stroke
+    * @param {MouseEvent} e - event that started the press
+    * @param {Function|null} onHold - called if the press is held still, i.e. user wants the visual wheel
+    * @returns {void}
+    */
+   #startGesture(e, onHold) {
+      this.#endGesture();
+      this.#gesture = {
+         points: [{ x: e.clientX, y: e.clientY }],
+         isMarking: false,
+         holdTimer: setTimeout(this.#onGestureHold, this.#gestureHoldDelay),
+         onHold,
+         source: this.#getInputSource(e),
+      };
+
+      document.addEventListener('pointermove', this.#onGesturePointerMove);
+      document.addEventListener('pointerup', this.#onGesturePointerUp);
+      document.addEventListener('pointercancel', this.#endGesture);
+   }
+
+   /**
+    * Stop tracking the current gesture stroke
+    * @returns {void}
+    */
+   #endGesture = () => {
+      if (this.#gesture === null) return;
+
+      clearTimeout(this.#gesture.holdTimer);
+      this.#gesture = null;
+
+      document.removeEventListener('pointermove', this.#onGesturePointerMove);
+      document.removeEventListener('pointerup', this.#onGesturePointerUp);
+      document.removeEventListener('pointercancel', this.#endGesture);
+   };
+
+   /**
+    * Hold timeout callback - press stayed still, fall back to the visual wheel
+    * @returns {void}
+    */
+   #onGestureHold = () => {
+      const { onHold } = this.#gesture;
+      this.#endGesture();
+      onHold && onHold();
+   };
+
+   /**
+    * Pointer move callback - record gesture stroke
+    * @param {PointerEvent} e
+    * @returns {void}
+    */
+   #onGesturePointerMove = (e) => {
+      const gesture = this.#gesture;
+      gesture.points.push({ x: e.clientX, y: e.clientY });
+
+      const start = gesture.points[0];
+      if (!gesture.isMarking && Math.hypot(e.clientX - start.x, e.clientY - start.y) >= this.#gestureMinSegmentLength) {
+         gesture.isMarking = true;
+         clearTimeout(gesture.holdTimer);
+      }
+   };
+
+   /**
+    * Pointer up callback - recognise and apply finished gesture stroke
+    * @param {PointerEvent} e
+    * @returns {void}
+    */
+   #onGesturePointerUp = (e) => {
+      const { points, isMarking, source } = this.#gesture;
+      points.push({ x: e.clientX, y: e.clientY });
+      this.#endGesture();
+
+      // short press without movement is handled as a normal click
+      if (!isMarking) return;
+
+      this.#suppressClick = true;
+      this.#applyGesture(this.#recogniseGesture(points), source);
+
+      // show the wheel if the stroke ended on a level with children (popup is hidden during gestures)
+      if (this.#isPopup && this.#controller.parents.length > 0) this.open(e.clientX, e.clientY);
+   };
+
+   /**
+    * Break a stroke into straight segments
+    * @param {Array<{x: number, y: number}>} points - pointer positions of the stroke
+    * @returns {number[]} direction of each segment in radians
+    */
+   #recogniseGesture(points) {
+      /** @type {Array<{dx: number, dy: number}>} */
+      const segments = [];
+      let anchor = points[0];
+
+      for (const point of points) {
+         const dx = point.x - anchor.x;
+         const dy = point.y - anchor.y;
+         if (Math.hypot(dx, dy) < this.#gestureSampleLength) continue;
+         anchor = point;
+
+         // extend last segment if the stroke keeps going in the same direction, otherwise it turned
+         const last = segments[segments.length - 1];
+         if (last) {
+            const turn = Math.abs(Math.atan2(dy, dx) - Math.atan2(last.dy, last.dx));
+            if (Math.min(turn, 2 * Math.PI - turn) < this.#gestureTurnAngle) {
+               last.dx += dx;
+               last.dy += dy;
+               continue;
+            }
+         }
+         segments.push({ dx, dy });
+      }
+
+      return segments.filter(({ dx, dy }) => Math.hypot(dx, dy) >= this.#gestureMinSegmentLength).map(({ dx, dy }) => Math.atan2(dy, dx));
+   }
+
+   /**
+    * Select a section for each gesture segment, moving down a level after each one
+    * @param {number[]} angles - direction of each segment in radians
+    * @param {UnraWheelInputSource} source - input the stroke was drawn with
+    * @returns {void}
+    */
+   #applyGesture(angles, source) {
+      const sequence = [];
+
+      for (const angle of angles) {
+         if (this.#controller.locked) break;
+
+         const index = this.#angleToSectionIndex(angle);
+         if (!this.#controller.isSelectable(index)) break;
+
+         // stop once a selection is handed to the user (leaf, or back on root level)
+         const isBackSection = index === this.#controller.backIndex;
+         const isLast = isBackSection ? this.#controller.parents.length === 0 : !this.#controller.getItem(index).children;
+
+         const value = isBackSection ? undefined : this.#controller.getItem(index).value;
+         if (!this.#onSectionSelect(index, source)) break;
+         if (!isBackSection) sequence.push(value);
+
+         if (isLast) break;
+      }
+
+      if (sequence.length > 0) this.dispatchEvent(new CustomEvent('gesture-select', { detail: { sequence } }));
+   }
+
+   /**
+    * Get first connected gamepad
+    * @returns {Gamepad|null}
+    */
+   #getGamepad() {
+      if (!navigator.getGamepads) return null;
+      return Array.from(navigator.getGamepads()).find((gamepad) => gamepad !== null && gamepad.connected) ?? null;
+   }
+
+   /**
+    * Gamepad connect callback - start polling gamepad state
+    * @param {GamepadEvent} [e]
+    * @returns {void}
+    */
+   #onGamepadConnected = (e) => {
+      if (this.#gamepadFrame === 0) this.#gamepadFrame = requestAnimationFrame(this.#onGamepadPoll);
+   };
+
+   /**
+    * Gamepad disconnect callback - stop polling when no gamepads are left
+    * @param {GamepadEvent} [e]
+    * @returns {void}
+    */
+   #onGamepadDisconnected = (e) => {
+      if (this.#getGamepad() !== null) return;
+
+      cancelAnimationFrame(this.#gamepadFrame);
+      this.#gamepadFrame = 0;
+      this.#isGamepadPointing = false;
+      this.#gamepadPointedIndex = -1;
+      this.#updatePointerVisibility();
+   };
+
+   /**
+    * Gamepad poll callback (runs every frame) - handle section pointing and selection via gamepad
+    * @returns {void}
+    */
+   #onGamepadPoll = () => {
+      this.#gamepadFrame = requestAnimationFrame(this.#onGamepadPoll);
+
+      const gamepad = this.#getGamepad();
+      if (gamepad === null || this.#controller.items === null) return;
+
+      // buttons only trigger on press, not while held
+      const isPressed = (index) => gamepad.buttons[index] !== undefined && gamepad.buttons[index].pressed;
+      const buttons = { select: isPressed(this.#gamepadSelectButton), back: isPressed(this.#gamepadBackButton) };
+      const selectPressed = buttons.select && !this.#prevGamepadButtons.select;
+      const backPressed = buttons.back && !this.#prevGamepadButtons.back;
+      this.#prevGamepadButtons = buttons;
+
+      const [x = 0, y = 0] = gamepad.axes;
+      const wasPointing = this.#isGamepadPointing;
+      this.#isGamepadPointing = this.#acceptsInput() && Math.hypot(x, y) > this.#gamepadDeadZone;
+      if (wasPointing !== this.#isGamepadPointing) this.#updatePointerVisibility();
+
+      if (!this.#acceptsInput()) {
+         this.#gamepadPointedIndex = -1;
+         return;
+      }
+
+      if (this.#isGamepadPointing) {
+         // svg and gamepad y-axes both point downwards, so the stick angle maps directly onto the wheel
+         const index = this.#angleToSectionIndex(Math.atan2(y, x));
+         if (index !== -1) this.#pointAtSection(index, 'gamepad');
+         // pointer doesn't move onto blank sections, so only remember the section if it actually reached it
+         if (index !== -1 && index === this.#prevHoverIndex) this.#gamepadPointedIndex = index;
+      }
+
+      // the stick usually springs back into the dead zone before the button is pressed
+      if (backPressed) this.#selectBack('gamepad');
+      else if (selectPressed && this.#gamepadPointedIndex !== -1) this.#onSectionSelect(this.#gamepadPointedIndex, 'gamepad');
+   };
+
+   /**
+    * Handle section select
+    * @param {number} sectionIndex - index of section to select
+    * @param {UnraWheelInputSource} source - input used to select the section
+    * @returns {boolean} false if section couldn't be selected, or a before-select listener prevented it
+    */
+   #onSectionSelect = (sectionIndex, source) => {
+      const item = this.#controller.getItem(sectionIndex);
+      if (!this.#controller.selectSection(sectionIndex, source)) return false;
+
+      // page sections turn the page without before-select, where other sections flash
+      if (item === this.#controller.nextPageItem || item === this.#controller.previousPageItem) this.#flashSection(sectionIndex);
+      return true;
+   };
+
+   /**
+    * Before select callback of controller - fire before-select, and flash the section unless a listener prevented it
+    * @param {CustomEvent<UnraWheelSectionDetail>} e
+    * @returns {void}
+    */
+   #onBeforeSelect = (e) => {
+      this.#forwardEvent(e);
+
+      // back doesn't flash when it only discards the level being loaded
+      const { index } = e.detail;
+      const discardsLoad = index === this.#controller.backIndex && this.#controller.loadState === 'loading';
+      if (!e.defaultPrevented && index !== -1 && !discardsLoad) this.#flashSection(index);
+   };
+
+   /**
+    * Select a section on the shown level as if the user did, e.g. for tutorials or tests. Fires the same events as
+    * user input with source 'programmatic'
+    * @param {*} value - value of the section
+    * @returns {boolean} false if the wheel is locked or loading, no section has the value or it can't be selected,
+    *    or a before-select listener prevented it
+    */
+   select(value) {
+      if (!this.#isSetUp) return false;
+      return this.#controller.select(value);
+   }
+
+   /**
+    * Select a section on the shown level by its position, like select()
+    * @param {number} index - index of the section on the shown level (across pages)
+    * @returns {boolean} false if the wheel is locked or loading, the section doesn't exist or can't be selected, or
+    *    a before-select listener prevented it
+    */
+   selectIndex(index) {
+      if (!this.#isSetUp) return false;
+      return this.#controller.selectIndex(index);
+   }
+
+   /**
+    * Select back as if the user did: return to the previous level, or cancel on the root level
+    * @returns {boolean} false if the wheel is locked or a before-select listener prevented it
+    */
+   back() {
+      if (!this.#isSetUp) return false;
+      return this.#selectBack('programmatic');
+   }
+
+   /**
+    * Confirm the sequence as if the user pressed Enter (in sequence mode)
+    * @returns {boolean} false if the wheel is locked, isn't in sequence mode or the sequence is empty
+    */
+   confirm() {
+      if (!this.#isSetUp) return false;
+      return this.#controller.confirm();
+   }
+
+   /**
+    * Move keyboard focus to a section on the shown level
+    * @param {number} index - index of the section on the shown level (across pages)
+    * @returns {boolean} false if the wheel is locked, or the section doesn't exist or can't be selected
+    */
+   focusSection(index) {
+      if (!this.#isSetUp || this.#controller.locked) return false;
+
+      const sectionIndex = this.#controller.showItem(index);
+      if (sectionIndex === -1 || !this.#controller.isSelectable(sectionIndex)) return false;
+
+      this.#focusSource = 'programmatic';
+      this.#focusSection(sectionIndex);
+      return true;
+   }
+
+   /**
+    * Select sections one after another starting from the root level, waiting for children from the loader where
+    * needed. In sequence mode, values after a section without children are added to the sequence too
+    * @param {Array<*>} path - values of sections to select, from root level down
+    * @returns {Promise<boolean>} resolves to false if a section couldn't be selected, which ends the path there
+    */
+   async selectPath(path) {
+      if (!Array.isArray(path)) throw new TypeError('[UnraWheel] Invalid path: expected an array of values');
+      if (!this.#isSetUp) return false;
+      return this.#controller.selectPath(path);
+   }
+
+   /**
+    * Path select callback of controller - hand the selection to the user: close the popup, set value and fire
+    * change and path-select (in sequence mode, the selection was added to the sequence)
+    * @param {CustomEvent<{path: Array<*>, items: UnraWheelSection[], source: UnraWheelInputSource}>} e
+    * @returns {void}
+    */
+   #onPathSelect = (e) => {
+      const { path, items, source } = e.detail;
+      const item = items[items.length - 1];
+
+      if (!this.#controller.sequence) {
+         this.#close(source);
+         this.value = this.#submitPath ? [...path] : item.value;
+         this.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+
+      this.#forwardEvent(e);
+      this.#announceSelection(this.labels.selected.replace('{text}', item.text));
+   };
+
+   /**
+    * Handle back selection - return to the previous level, or cancel on the root level
+    * @param {UnraWheelInputSource} source - input used to select back
+    * @returns {boolean} false if a before-select listener prevented it
+    */
+   #selectBack(source) {
+      // on the root level of a sequence, back removes the last selection
+      const { parents, sequence, path, loadState } = this.#controller;
+      const removesSelection = parents.length === 0 && sequence && path.length > 0 && loadState !== 'loading';
+
+      if (!this.#controller.back(source)) return false;
+      if (removesSelection) this.#announce(this.labels.removed);
+      return true;
+   }
+
+   /**
+    * Cancel callback of controller - fire cancel and close the popup
+    * @param {CustomEvent<UnraWheelSectionDetail>} e
+    * @returns {void}
+    */
+   #onCancel = (e) => {
+      this.#forwardEvent(e);
+      this.#close(e.detail.source);
+   };
+
+   /**
+    * Values of the sections selected so far in sequence mode, from first to last
+    * @type {Array<*>}
+    */
+   get path() {
+      return this.#controller.path;
+   }
+
+   /**
+    * Replace the sequence of selections, e.g. to restore one the user started earlier
+    * @param {Array<*>} path - values of selected sections, from first to last
+    * @returns {void}
+    */
+   setPath(path) {
+      this.#controller.setPath(path);
+   }
+
+   /**
+    * Path change callback of controller - show the length of the sequence in the center and fire path-change
+    * @param {CustomEvent<{path: Array<*>, source: UnraWheelInputSource}>} e
+    * @returns {void}
+    */
+   #onPathChange = (e) => {
+      const { path } = e.detail;
+      if (this.#centerTextElem) this.#centerTextElem.textContent = path.length > 0 ? String(path.length) : '';
+      this.#forwardEvent(e);
+   };
+
+   /**
+    * Sequence select callback of controller - hand the sequence to the user: close the popup, make it the value and
+    * fire change and sequence-select
+    * @param {CustomEvent<{path: Array<*>, source: UnraWheelInputSource}>} e
+    * @returns {void}
+    */
+   #onSequenceSelect = (e) => {
+      const { path, source } = e.detail;
+      this.#close(source);
+
+      this.value = [...path];
+      this.dispatchEvent(new Event('change', { bubbles: true }));
+      this.#forwardEvent(e);
+      this.#announceSelection(this.labels.confirmed.replace('{count}', path.length));
+   };
+
+   /**
+    * Briefly highlight a selected section
+    * @param {number} sectionIndex
+    * @returns {void}
+    */
+   #flashSection(sectionIndex) {
+      const elem = this.#elements.sections[sectionIndex];
+
+      if (!elem.classList.contains('section--selected')) {
+         elem.classList.add('section--selected');
+         setTimeout(() => {
+            elem && elem.classList.remove('section--selected');
+         }, 100);
+      }
+   }
+
+   /**
+    * Click callback of center circle - select back when back is in the center
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onCenterBackClick = (e) => {
+      if (this.#suppressClick) {
+         this.#suppressClick = false;
+         return;
+      }
+
+      if (!this.#controller.locked) this.#selectBack(this.#getInputSource(e));
+   };
+
+   /**
+    * Key down callback of center circle - select back with Enter or Space when back is in the center
+    * @param {KeyboardEvent} e
+    * @returns {void}
+    */
+   #onCenterBackKeyDown = (e) => {
+      if (this.#controller.locked || (e.key !== 'Enter' && e.key !== ' ')) return;
+
+      e.preventDefault();
+      this.#menuKeyEvents.add(e);
+      this.#selectBack('keyboard');
+   };
+
+   /**
+    * Click callback of center circle - confirm or cancel when center-action is set
+    * @param {MouseEvent} e
+    * @returns {void}
+    */
+   #onCenterActionClick = (e) => {
+      if (this.#suppressClick) {
+         this.#suppressClick = false;
+         return;
+      }
+
+      if (!this.#controller.locked) this.#selectCenterAction(this.#getInputSource(e));
+   };
+
+   /**
+    * Key down callback of center circle - confirm or cancel with Enter or Space when center-action is set
+    * @param {KeyboardEvent} e
+    * @returns {void}
+    */
+   #onCenterActionKeyDown = (e) => {
+      if (this.#controller.locked || (e.key !== 'Enter' && e.key !== ' ')) return;
+
+      e.preventDefault();
+      this.#menuKeyEvents.add(e);
+      this.#selectCenterAction('keyboard');
+   };
+
+   /**
+    * Handle center circle being clicked: confirm the sequence (or select the pointed section outside sequence mode),
+    * or cancel
+    * @param {UnraWheelInputSource} source - input used to click the center
+    * @returns {boolean} false if there was nothing to confirm
+    */
+   #selectCenterAction(source) {
+      if (this.#centerAction === 'cancel') return this.#controller.cancel(source);
+      if (this.#controller.sequence) return this.#controller.confirm(source);
+      return this.#onSectionSelect(this.#prevHoverIndex, source);
+   }
+
+   /**
+    * Get default key by section index
+    * @param {number} index - section index
+    * @returns {string} default key
+    */
+   indexToDefaultKey(index) {
+      return this.#defaultKeys[index % this.#defaultKeys.length];
+   }
+
+   /**
+    * Fit key text and content text of a section into it, as the section or its texts change
+    * @param {number} index - section index
+    * @returns {void}
+    */
+   #fitTexts(index) {
+      const angles = this.#getSectionAngles(index);
+      const toInnerRing = (distance) => this.#toInnerRing(distance);
+
+      // texts smaller than the style's size are sized inline, which leaves the custom properties in charge otherwise
+      const keyText = this.#elements.keyTexts[index];
+      const key = getKeyLayout(keyText.textContent, angles, this.#keyDistanceFromCenter, this.style.keyText, toInnerRing);
+      keyText.setAttribute('x', key.x);
+      keyText.setAttribute('y', key.y);
+      keyText.style.fontSize = key.size < this.style.keyText.size ? `${key.size}px` : '';
+
+      const contentText = this.#elements.contentTexts[index];
+      const position = this.#getContentPositions(index).contentText;
+      const hasImage = Boolean(this.#elements.images[index].getAttribute('href'));
+      const label = getLabelLayout(this.#elements.labels[index] ?? '', angles, position, {
+         style: this.style.contentText,
+         curved: this.#labelLayout === 'curved',
+         imageHeight: hasImage ? this.style.image.height : 0,
+         toInnerRing,
+      });
+      contentText.style.fontSize = label.size < Number(this.style.contentText.size) ? `${label.size}px` : '';
+
+      // curved labels are set along the section's arc
+      if (label.arc !== null) {
+         this.#elements.labelArcs[index].setAttribute('d', label.arc);
+         contentText.removeAttribute('x');
+         contentText.removeAttribute('y');
+
+         const textPath = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
+         textPath.setAttribute('href', `#label-arc-${index}`);
+         textPath.setAttribute('startOffset', '50%');
+         textPath.textContent = label.lines.join(' ');
+         contentText.replaceChildren(textPath);
+         return;
+      }
+
+      contentText.setAttribute('x', position.x);
+      contentText.setAttribute('y', position.y);
+      if (label.lines.length <= 1) {
+         contentText.textContent = label.lines.join('');
+         return;
+      }
+
+      // lines are centered on the label's position
+      contentText.replaceChildren(
+         ...label.lines.map((line, i) => {
+            const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+            tspan.setAttribute('x', position.x);
+            tspan.setAttribute('dy', i === 0 ? `${-0.06 - (label.lines.length - 1) * 0.6}em` : '1.2em');
+            tspan.textContent = line;
+            return tspan;
+         })
+      );
+   }
+
+   /**
+    * Create text element
+    * @param {'key'|'content'} type
+    * @returns {SVGTextElement}
+    */
+   #createTextElement(type) {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      el.setAttribute('class', `${type}-text`);
+      el.setAttribute('part', `${type}-text`);
+      el.setAttribute('text-anchor', 'middle');
+      el.setAttribute('dominant-baseline', 'middle');
+      el.setAttribute('pointer-events', 'none');
+
+      // text for options is set in links for screenreaders
+      el.setAttribute('aria-hidden', 'true');
+
+      // shift letters downwards to compensate for weird font baseline stuff that causes letters on lower
+      // sections to appear closer to the center than letters on upper sections
+      el.setAttribute('dy', '-.06em');
+      el.setAttribute('dx', '-.07em');
+
+      return el;
+   }
+
+   /**
+    * Create section element
+    * @param {number} index - section index (0..n)
+    * @returns {SVGPathElement } section
+    */
+   #createSectionElement(index) {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      el.setAttribute('class', 'section');
+      el.setAttribute('part', 'section');
+      el.setAttribute('data-section', index);
+      el.setAttribute('aria-hidden', 'true');
+
+      return el;
+   }
+
+   /**
+    * Create link element
+    * @param {number} index - section index (0..n)
+    * @returns {SVGAElement}
+    */
+   #createLinkElement(index) {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'a');
+      el.setAttribute('tabindex', this.#getLinkTabIndex(index));
+      el.setAttribute('class', 'section-link');
+      el.setAttribute('href', 'javascript:void(0);');
+      el.setAttribute('role', 'menuitem');
+      el.setAttribute('data-section', index);
+
+      return el;
+   }
+
+   /**
+    * Create image element
+    * @returns {SVGImageElement}
+    */
+   #createImageElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+      el.setAttribute('pointer-events', 'none');
+      el.setAttribute('href', '');
+      el.setAttribute('part', 'image');
+      el.setAttribute('aria-hidden', 'true');
+
+      return el;
+   }
+
+   /**
+    * Set position and size of image element from style
+    * @param {SVGImageElement} el
+    * @param {number} x - x-pos of image center
+    * @param {number} y - y-pos of image center
+    * @returns {void}
+    */
+   #setImageGeometry(el, x, y) {
+      el.setAttribute('x', x - this.style.image.width / 2);
+      el.setAttribute('y', y - this.style.image.height / 2);
+      el.setAttribute('width', this.style.image.width);
+      el.setAttribute('height', this.style.image.height);
+   }
+
+   /**
+    * Create badge element
+    * @returns {SVGGElement} group containing badge background and text
+    */
+   #createBadgeElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      el.setAttribute('class', 'badge');
+      el.setAttribute('part', 'badge');
+      el.setAttribute('pointer-events', 'none');
+      el.setAttribute('aria-hidden', 'true');
+
+      const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      el.appendChild(background);
+
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('dominant-baseline', 'central');
+      el.appendChild(text);
+
+      return el;
+   }
+
+   /**
+    * Set badge text and fit its background around it
+    * @param {SVGGElement} el - badge element
+    * @param {string} text - badge text
+    * @param {number} x - x-pos of badge center
+    * @param {number} y - y-pos of badge center
+    * @returns {void}
+    */
+   #setBadgeContent(el, text, x, y) {
+      const { width, height } = getBadgeSize(text, this.style.badge.size);
+
+      const [background, textEl] = el.children;
+      background.setAttribute('x', x - width / 2);
+      background.setAttribute('y', y - height / 2);
+      background.setAttribute('width', width);
+      background.setAttribute('height', height);
+      background.setAttribute('rx', height / 2);
+
+      textEl.setAttribute('x', x);
+      textEl.setAttribute('y', y);
+      textEl.textContent = text;
+   }
+
+   /**
+    * Create section-pointer element
+    * @returns {SVGPathElement} section-pointer
+    */
+   #createSectionPointerElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      el.setAttribute('fill', 'none');
+      el.setAttribute('stroke-linejoin', 'round');
+      el.setAttribute('pointer-events', 'none');
+      el.setAttribute('class', 'section-pointer');
+      el.setAttribute('part', 'section-pointer');
+      el.setAttribute('id', 'section-pointer');
+      el.setAttribute('aria-hidden', 'true');
+
+      return el;
+   }
+
+   /**
+    * Create loading indicator and retry button shown in the center
+    * @returns {SVGGElement}
+    */
+   #createStatusElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      el.setAttribute('class', 'status');
+      el.setAttribute('part', 'status');
+      el.setAttribute('aria-hidden', 'true');
+
+      const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      hitArea.setAttribute('class', 'status-retry');
+      hitArea.setAttribute('r', this.#centerRadius);
+      el.appendChild(hitArea);
+
+      // three quarters of a circle, rotated by css
+      const radius = this.#centerRadius / 2;
+      const spinner = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      spinner.setAttribute('class', 'status-spinner');
+      spinner.setAttribute('d', `M ${radius} 0 A ${radius} ${radius} 0 1 1 0 ${-radius}`);
+      el.appendChild(spinner);
+
+      const error = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      error.setAttribute('class', 'status-error');
+      error.setAttribute('text-anchor', 'middle');
+      error.setAttribute('dominant-baseline', 'central');
+      error.textContent = '!';
+      el.appendChild(error);
+
+      return el;
+   }
+
+   /**
+    * Create back arrow icon (positioned by #layout)
+    * @returns {SVGPolygonElement}
+    */
+   #createBackArrowElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+      el.setAttribute('class', 'back-arrow');
+      el.setAttribute('part', 'back-arrow');
+
+      return el;
+   }
+
+   /**
+    * Create wheel background element
+    * @returns {SVGCircleElement|SVGPathElement} circle, or sector covering the arc for partial arcs
+    */
+   #createBackgroundElement() {
+      let el;
+      if (this.#sweepAngle >= 360) {
+         el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+         el.setAttribute('cx', '0');
+         el.setAttribute('cy', '0');
+         el.setAttribute('r', this.#radiusScale);
+      } else {
+         const start = getArcStart(this.#getArc());
+         const end = start + ((this.#isCounterClockwise ? -1 : 1) * this.#sweepAngle * Math.PI) / 180;
+         el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+         el.setAttribute('d', getSectorPath(Math.min(start, end), Math.max(start, end)));
+      }
+      el.setAttribute('class', 'background');
+      el.setAttribute('part', 'background');
+
+      return el;
+   }
+
+   /**
+    * Create center circle element
+    * @returns {SVGCircleElement}
+    */
+   #createCenterCircleElement() {
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      el.setAttribute('cx', '0');
+      el.setAttribute('cy', '0');
+      el.setAttribute('r', this.#centerRadius);
+      el.setAttribute('class', 'center');
+      el.setAttribute('part', 'center');
+
+      return el;
+   }
+
+   /**
+    * Create content area of center circle: an html box inscribed in the circle, showing the pointed item, the
+    * breadcrumb or the element's center slot
+    * @returns {SVGForeignObjectElement}
+    */
+   #createCenterContentElement() {
+      const side = this.#centerRadius * Math.SQRT2 * this.#centerContentScale;
+
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject');
+      el.setAttribute('x', -side / 2);
+      el.setAttribute('y', -side / 2);
+      el.setAttribute('width', side);
+      el.setAttribute('height', side);
+      el.setAttribute('transform', `scale(${1 / this.#centerContentScale})`);
+      el.setAttribute('class', 'center-content-box');
+
+      this.#centerContentElem = document.createElement('div');
+      this.#centerContentElem.setAttribute('class', 'center-content');
+      this.#centerContentElem.setAttribute('part', 'center-content');
+      el.appendChild(this.#centerContentElem);
+
+      if (this.#centerContent === 'slot') {
+         const slot = document.createElement('slot');
+         slot.setAttribute('name', 'center');
+         this.#centerContentElem.appendChild(slot);
+      } else {
+         const image = document.createElement('img');
+         image.setAttribute('class', 'center-image');
+         image.setAttribute('alt', '');
+         const title = document.createElement('div');
+         title.setAttribute('class', 'center-title');
+         const description = document.createElement('div');
+         description.setAttribute('class', 'center-description');
+         this.#centerContentElem.append(image, title, description);
+      }
+
+      // screen readers get the same information from the sections and announcements
+      this.#centerContentElem.setAttribute('aria-hidden', 'true');
+      this.#updateCenterContent();
+
+      return el;
+   }
+
+   /**
+    * Show the pointed item or breadcrumb in the center circle
+    * @returns {void}
+    */
+   #updateCenterContent() {
+      if (this.#centerContentElem === null || this.#centerContent === 'slot') return;
+
+      let text = '';
+      let description = '';
+      let image = '';
+      if (this.#centerContent === 'path') {
+         text = this.#controller.parents.map((item) => item.text).join(' › ');
+      } else if (this.sectionPointerElem?.classList.contains('section-pointer--show')) {
+         const isBack = this.#prevHoverIndex === this.#controller.backIndex;
+         const item = isBack ? {} : (this.#controller.getItem(this.#prevHoverIndex) ?? {});
+         text = isBack ? (this.#backText ?? this.labels.back) : (item.text ?? '');
+         description = item.description ?? '';
+         image = isBack ? (this.#backImage ?? '') : (item.image ?? '');
+      }
+
+      const [imageElem, titleElem, descriptionElem] = this.#centerContentElem.children;
+      titleElem.textContent = text;
+      descriptionElem.textContent = description;
+      if (image) imageElem.setAttribute('src', image);
+      else imageElem.removeAttribute('src');
+   }
+
+   /**
+    * Get style as CSS custom properties on the host element (every colour, stroke and font, e.g.
+    * style.section.stroke.color becomes --unrawheel-section-stroke-color)
+    * @returns {string} CSS rule
+    */
+   #getStyleProperties() {
+      const toKebabCase = (name) => name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      const properties = [];
+
+      // image size and label fitting are used for positioning, so they aren't themable
+      const { image, ...themable } = this.style;
+      const layoutProperties = ['--unrawheel-content-text-min-size', '--unrawheel-content-text-max-lines'];
+
+      (function addProperties(obj, prefix) {
+         for (const [name, value] of Object.entries(obj)) {
+            const property = `${prefix}-${toKebabCase(name)}`;
+            if (typeof value === 'object' && value !== null) addProperties(value, property);
+            else if (!layoutProperties.includes(property)) properties.push(`${property}: ${value};`);
+         }
+      })(themable, '--unrawheel');
+
+      return `:host { ${properties.join(' ')} }`;
+   }
+
+   /**
+    * Add a stylesheet to the shadow root (rules override default #CSS)
+    * @param {string|CSSStyleSheet} stylesheet - CSS text or constructed stylesheet
+    * @returns {CSSStyleSheet} added stylesheet, can be passed to removeStylesheet
+    */
+   addStylesheet(stylesheet) {
+      if (typeof stylesheet === 'string') {
+         const sheet = new CSSStyleSheet();
+         sheet.replaceSync(stylesheet);
+         stylesheet = sheet;
+      }
+      if (!(stylesheet instanceof CSSStyleSheet)) throw new TypeError('[UnraWheel] Invalid stylesheet: expected a string or CSSStyleSheet');
+
+      this.shadowRoot.adoptedStyleSheets = [...this.shadowRoot.adoptedStyleSheets, stylesheet];
+      return stylesheet;
+   }
+
+   /**
+    * Remove a stylesheet added with addStylesheet
+    * @param {CSSStyleSheet} stylesheet
+    * @returns {void}
+    */
+   removeStylesheet(stylesheet) {
+      this.shadowRoot.adoptedStyleSheets = this.shadowRoot.adoptedStyleSheets.filter((sheet) => sheet !== stylesheet);
+   }
+
+   /**
+    * Update style and apply it to the rendered wheel in place
+    * @param {Object} partialStyle - properties to change, shaped like style (e.g. { center: { fillColor: '#CAA' } })
+    * @returns {void}
+    */
+   setStyle(partialStyle) {
+      // validate on a copy first so an invalid property doesn't leave style half-updated
+      mergeStyle(structuredClone(this.style), partialStyle);
+      mergeStyle(this.style, partialStyle);
+      if (!this.#isSetUp) return;
+
+      // colours, strokes and fonts are applied through custom properties
+      this.#styleProperties.textContent = this.#getStyleProperties();
+
+      // image and badge sizes also affect placement
+      this.#layout();
+   }
+
+   /**
+    * Get start and end angle of a section as drawn, which differ from the angles of the level while sections morph
+    * @param {number} index - section index
+    * @returns {{startAngle: number, endAngle: number}} angles in radians
+    */
+   #getSectionAngles(index) {
+      return (this.#morphAngles ?? this.#sectionAngles)[index];
+   }
+
+   /**
+    * Get positions of key text, image and content text of a section
+    * @param {number} index - section index
+    * @returns {{keyText: {x: number, y: number}, image: {x: number, y: number}, contentText: {x: number, y: number}, badge: {x: number, y: number}}}
+    */
+   #getContentPositions(index) {
+      return getContentPositions(this.#getSectionAngles(index), this.#keyDistanceFromCenter, this.style.image.height, (distance) => this.#toInnerRing(distance));
+   }
+
+   /**
+    * Render component skeleton (run once)
+    * @returns {void}
+    */
+   #initialRender() {
+      // add style as custom properties (updated on render) and stylesheet
+      this.#styleProperties = document.createElement('style');
+      this.#styleProperties.textContent = this.#getStyleProperties();
+      this.shadowRoot.appendChild(this.#styleProperties);
+
+      const style = document.createElement('style');
+      style.textContent = this.#CSS;
+      this.shadowRoot.appendChild(style);
+
+      // root svg element
+      this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      this.svg.setAttribute('viewBox', `${this.#viewBox.x} ${this.#viewBox.y} ${this.#viewBox.width} ${this.#viewBox.height}`);
+      this.svg.setAttribute('role', 'none');
+      if (this.#controller.locked) this.svg.classList.add('unrawheel--locked');
+
+      // container for root svg element
+      this.#container = document.createElement('div');
+      this.#container.setAttribute('class', 'unrawheel');
+      if (this.#isPopup) this.#container.classList.add('unrawheel--popup');
+      if (this.#gestureEnabled) this.#container.classList.add('unrawheel--gesture');
+      this.#container.appendChild(this.svg);
+      this.shadowRoot.appendChild(this.#container);
+      this.#updateLoadStateClasses();
+
+      // announcements for screen readers
+      this.#liveRegion = document.createElement('div');
+      this.#liveRegion.setAttribute('class', 'live-region');
+      this.#liveRegion.setAttribute('role', 'status');
+      this.#liveRegion.setAttribute('aria-live', 'polite');
+      this.#container.appendChild(this.#liveRegion);
+
+      // loading indicator and retry button, shown before the first sections too
+      this.#statusElem = this.#createStatusElement();
+      this.#statusElem.addEventListener('click', this.#onStatusClick);
+      this.svg.appendChild(this.#statusElem);
+
+      // root svg mouse events
+      this.svg.addEventListener('mouseenter', this.#onMouseEnter);
+      this.svg.addEventListener('mouseleave', this.#onMouseLeave);
+
+      // root svg gesture events
+      this.svg.addEventListener('pointerdown', this.#onGesturePointerDown);
+   }
+
+   /**
+    * Position sections, their contents and section pointer according to the drawn section angles
+    * @returns {void}
+    */
+   #layout() {
+      for (let i = 0; i < this.#elements.sections.length; i++) {
+         const { startAngle, endAngle } = this.#getSectionAngles(i);
+         this.#elements.sections[i].setAttribute('d', getSectorPath(startAngle, endAngle, this.#getRingRadii(0).outer));
+
+         const positions = this.#getContentPositions(i);
+         this.#fitTexts(i);
+
+         this.#setImageGeometry(this.#elements.images[i], positions.image.x, positions.image.y);
+
+         const badge = this.#elements.badges[i];
+         this.#setBadgeContent(badge, badge.lastChild.textContent, positions.badge.x, positions.badge.y);
+      }
+
+      // draw back arrow icon in back section, or in center circle
+      if (this.#controller.backIndex !== -1) {
+         this.#backArrowElem.setAttribute('points', getBackArrowPoints(this.#getSectionAngles(this.#controller.backIndex), this.#toInnerRing(0.83)));
+      } else if (this.#controller.backPosition === 'center') {
+         const scale = 0.06;
+         this.#backArrowElem.setAttribute('points', `${-scale / 2},0 ${scale / 2},${scale} ${scale / 2},${-scale}`);
+         this.#setImageGeometry(this.#centerImageElem, 0, 0);
+      }
+
+      this.#updateSectionPointer();
+      this.#layoutOuterRings();
+   }
+
+   /**
+    * Render component
+    * @param {boolean} [sectionCountChanged=true] - true if sections should be redrawn (count changed)
+    */
+   #render(sectionCountChanged = true) {
+      this.#styleProperties.textContent = this.#getStyleProperties();
+
+      if (sectionCountChanged) {
+         // remove existing content from memory
+         Object.values(this.#elements).forEach((elements) => (elements.length = 0));
+
+         // batch dom changes in fragment
+         const root = document.createDocumentFragment();
+
+         // draw background circle
+         root.appendChild(this.#createBackgroundElement());
+
+         // arcs curved labels are set along
+         if (this.#labelLayout === 'curved') {
+            const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            for (let i = 0; i < this.#controller.sectionCount; i++) {
+               const arc = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+               arc.setAttribute('id', `label-arc-${i}`);
+               defs.appendChild(arc);
+               this.#elements.labelArcs.push(arc);
+            }
+            root.appendChild(defs);
+         }
+
+         // create group for sections
+         const sectionList = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+         sectionList.setAttribute('role', 'menu');
+         sectionList.setAttribute('id', 'wheel-sections');
+         sectionList.setAttribute('aria-label', this.labels.menu);
+         sectionList.addEventListener('keydown', this.#onMenuKeyDown);
+         root.appendChild(sectionList);
+
+         // generate sections
+         for (let i = 0; i < this.#controller.sectionCount; i++) {
+            // create group for section
+            const sectionGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            sectionGroup.setAttribute('class', 'section-group');
+            sectionGroup.setAttribute('role', 'none');
+            sectionList.appendChild(sectionGroup);
+
+            // create link (for tab navigation and screen readers)
+            const link = this.#createLinkElement(i);
+            link.addEventListener('click', this.#onSectionClick);
+            link.addEventListener('focus', this.#onSectionFocus);
+            link.addEventListener('blur', this.#onSectionBlur);
+            sectionGroup.appendChild(link);
+            this.#elements.links.push(link);
+
+            // draw the section
+            const section = this.#createSectionElement(i);
+            section.addEventListener('click', this.#onSectionClick);
+            section.addEventListener('mouseenter', this.#onSectionHover);
+            if (i === this.#controller.backIndex) {
+               section.classList.add('section--back');
+               section.setAttribute('part', 'section section-back');
+            }
+            sectionGroup.appendChild(section);
+            this.#elements.sections.push(section);
+
+            // description is shown as tooltip
+            const description = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            section.appendChild(description);
+            this.#elements.descriptions.push(description);
+
+            // draw key text, content text, image and badge
+            this.#elements.keyTexts.push(this.#createTextElement('key'));
+            this.#elements.contentTexts.push(this.#createTextElement('content'));
+            this.#elements.images.push(this.#createImageElement());
+            this.#elements.badges.push(this.#createBadgeElement());
+
+            // draw arrow icon in back section, unless it has an icon of its own
+            if (i === this.#controller.backIndex) {
+               this.#backArrowElem = this.#createBackArrowElement();
+               sectionGroup.appendChild(this.#backArrowElem);
+            }
+         }
+
+         // append these here so they always render on top
+         for (let i = 0; i < this.#controller.sectionCount; i++) {
+            root.appendChild(this.#elements.keyTexts[i]);
+            root.appendChild(this.#elements.images[i]);
+            root.appendChild(this.#elements.contentTexts[i]);
+            root.appendChild(this.#elements.badges[i]);
+         }
+
+         // create groups for outer rings, filled with the pointed section's children by #updateOuterRings
+         this.#outerRings = [];
+         for (let ring = 1; ring < this.#ringCount; ring++) {
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'ring');
+            // outer rings only preview the next levels, which are reachable through the menu itself
+            group.setAttribute('aria-hidden', 'true');
+            root.appendChild(group);
+            this.#outerRings.push({ items: [], angles: [], pointedIndex: -1, group, sections: [], keyTexts: [], contentTexts: [] });
+         }
+
+         // draw section pointer and center circle
+         this.sectionPointerElem = this.#createSectionPointerElement();
+         this.#updatePointerVisibility();
+         root.appendChild(this.sectionPointerElem);
+         this.#centerElem = this.#createCenterCircleElement();
+         root.appendChild(this.#centerElem);
+
+         // back button in center circle
+         if (this.#controller.backPosition === 'center') {
+            const label = this.#backText ?? this.labels.back;
+            this.#centerElem.classList.add('center--back');
+            this.#centerElem.setAttribute('part', 'center center-back');
+            this.#centerElem.setAttribute('role', 'button');
+            this.#centerElem.setAttribute('aria-label', label);
+            this.#centerElem.setAttribute('tabindex', this.#controller.locked ? '-1' : '0');
+            this.#centerElem.addEventListener('click', this.#onCenterBackClick);
+            this.#centerElem.addEventListener('keydown', this.#onCenterBackKeyDown);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = label;
+            this.#centerElem.appendChild(title);
+
+            this.#backArrowElem = this.#createBackArrowElement();
+            this.#backArrowElem.setAttribute('display', this.#backImage === null ? 'initial' : 'none');
+            this.#centerImageElem = this.#createImageElement();
+            this.#centerImageElem.setAttribute('href', this.#backImage ?? '');
+            this.#centerImageElem.setAttribute('display', this.#backImage === null ? 'none' : 'initial');
+            root.append(this.#backArrowElem, this.#centerImageElem);
+         } else if (this.#centerAction !== 'none') {
+            // confirm or cancel button in center circle
+            const label = this.labels[this.#centerAction];
+            this.#centerElem.classList.add(`center--${this.#centerAction}`);
+            this.#centerElem.setAttribute('part', `center center-${this.#centerAction}`);
+            this.#centerElem.setAttribute('role', 'button');
+            this.#centerElem.setAttribute('aria-label', label);
+            this.#centerElem.setAttribute('tabindex', this.#controller.locked ? '-1' : '0');
+            this.#centerElem.addEventListener('click', this.#onCenterActionClick);
+            this.#centerElem.addEventListener('keydown', this.#onCenterActionKeyDown);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = label;
+            this.#centerElem.appendChild(title);
+         }
+
+         // content of center circle; sequence length is shown unless there's other content
+         this.#centerTextElem = null;
+         this.#centerContentElem = null;
+         if (this.#centerContent !== 'none') {
+            root.appendChild(this.#createCenterContentElement());
+         } else if (this.#controller.sequence) {
+            this.#centerTextElem = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            this.#centerTextElem.setAttribute('class', 'center-text');
+            this.#centerTextElem.setAttribute('part', 'center-text');
+            this.#centerTextElem.setAttribute('text-anchor', 'middle');
+            this.#centerTextElem.setAttribute('dominant-baseline', 'central');
+            this.#centerTextElem.textContent = this.#controller.path.length > 0 ? String(this.#controller.path.length) : '';
+            root.appendChild(this.#centerTextElem);
+         }
+
+         // status goes on top of everything
+         root.appendChild(this.#statusElem);
+
+         // replace existing content
+         this.svg.replaceChildren(root);
+         this.#layout();
+      }
+
+      // set contents
+      for (let i = 0; i < this.#controller.sectionCount; i++) {
+         const isBackSection = i === this.#controller.backIndex;
+
+         // with static section count, there may be less items in data than there are sections.
+         // for these, we draw blanks
+         const isBlankSection = !isBackSection && this.#controller.getItem(i) === undefined;
+
+         const contentText = this.#elements.contentTexts[i];
+         const keyText = this.#elements.keyTexts[i];
+         const image = this.#elements.images[i];
+         const link = this.#elements.links[i];
+         const section = this.#elements.sections[i];
+         const badge = this.#elements.badges[i];
+         const description = this.#elements.descriptions[i];
+
+         // back section has no item, so it can't be disabled or have a badge / description
+         const item = isBackSection || isBlankSection ? {} : this.#controller.getItem(i);
+
+         const badgePosition = this.#getContentPositions(i).badge;
+         this.#setBadgeContent(badge, item.badge === undefined ? '' : String(item.badge), badgePosition.x, badgePosition.y);
+         badge.setAttribute('display', item.badge === undefined ? 'none' : 'initial');
+
+         description.textContent = item.description ?? '';
+         if (item.description) link.setAttribute('aria-description', item.description);
+         else link.removeAttribute('aria-description');
+
+         section.classList[item.disabled ? 'add' : 'remove']('section--disabled');
+         [contentText, keyText, image, badge].forEach((el) => el.classList[item.disabled ? 'add' : 'remove']('section-content--disabled'));
+         link.setAttribute('tabindex', this.#getLinkTabIndex(i));
+         if (item.disabled) link.setAttribute('aria-disabled', 'true');
+         else link.removeAttribute('aria-disabled');
+
+         if (isBlankSection) {
+            this.#elements.labels[i] = '';
+            contentText.textContent = '';
+            contentText.setAttribute('display', 'none');
+
+            keyText.textContent = '';
+            keyText.setAttribute('display', 'none');
+
+            image.setAttribute('href', '');
+            image.setAttribute('display', 'none');
+
+            link.setAttribute('aria-label', '');
+            link.setAttribute('display', 'none');
+
+            section.classList.add('section--empty');
+
+            // ! early exit for blank sections
+            continue;
+         }
+
+         section.classList.remove('section--empty');
+
+         this.#elements.labels[i] = isBackSection ? (this.#backText ?? '') : item.text;
+         contentText.setAttribute('display', 'initial');
+
+         // page keys are too long to show, like the back key
+         const isPageSection = item === this.#controller.nextPageItem || item === this.#controller.previousPageItem;
+         keyText.textContent = isBackSection || isPageSection ? '' : this.#getKeyLabel(item);
+         keyText.setAttribute('display', 'initial');
+
+         const imageHref = isBackSection ? this.#backImage : item.image;
+         if (imageHref) {
+            image.setAttribute('href', imageHref);
+            image.setAttribute('display', 'initial');
+         } else {
+            image.setAttribute('href', '');
+            image.setAttribute('display', 'none');
+         }
+         if (isBackSection) this.#backArrowElem.setAttribute('display', this.#backImage === null ? 'initial' : 'none');
+
+         link.setAttribute('display', 'initial');
+
+         link.setAttribute('aria-label', isBackSection ? (this.#backText ?? this.labels.back) : item.text);
+         if (item.children) link.setAttribute('aria-haspopup', 'menu');
+         else link.removeAttribute('aria-haspopup');
+         image.setAttribute('display', 'initial');
+
+         // texts are fitted once they and the image are known
+         this.#fitTexts(i);
+      }
+
+      // level changed, previews on outer rings have to be recreated
+      this.#outerRings.forEach((ring) => (ring.items = []));
+      this.#updateOuterRings();
+      this.#updateCenterContent();
+   }
+
+   connectedCallback() {
+      if (!this.#isSetUp) this.#setUp();
+      this.#addListeners();
+   }
+
+   attributeChangedCallback(name, oldValue, newValue) {
+      // attributes set before the element is connected are read when it is
+      if (!this.#isSetUp || oldValue === newValue) return;
+
+      if (name === 'data') {
+         const items = this.#readItems(this);
+         // removing the data attribute falls back to items, or keeps the last sections
+         if (newValue !== null) this.setSections(newValue);
+         else if (items.length > 0) this.setSections(items);
+      } else if (name === 'locked') {
+         this.#controller.setLocked(newValue !== null);
+      } else if (name === 'key-scope') {
+         this.#keyScope = newValue ?? 'global';
+      } else if (name === 'required') {
+         this.#updateFormValue();
+      } else if (UnraWheel.#liveAttributes.includes(name)) {
+         this.#applyAttributes();
+      } else {
+         this.#reconfigure();
+      }
+   }
+
+   disconnectedCallback() {
+      this.#removeListeners();
+   }
+}
+
+/**
+ * Section of a wheel written as markup: the item's own text is the text of the section, and nested items are its
+ * sub-sections. Items are read by the unrawheel-v1 element they're in, which updates its sections when they change
+ *
+ * @element unrawheel-item
+ *
+ * @attribute {string} value - value sent to section-select callback when section is selected
+ * @attribute {string} [key] - keyboard key bound to section (see UnraWheelSection)
+ * @attribute {string} [image] - url/path to image shown in section
+ * @attribute {boolean} [disabled] - set to show section greyed out and make it unselectable
+ * @attribute {string} [description] - longer description shown on hover
+ * @attribute {string} [badge] - short label or count shown in the corner of section
+ * @attribute {number} [weight=1] - share of the wheel taken by section relative to other sections
+ */
+export class UnraWheelItem extends HTMLElementBase {}
+
+/**
+ * @typedef {Object} UnraWheelRecordedStep
+ * @property {'select'|'back'|'confirm'} action - section selected, back selected (also when it cancelled), or
+ *    sequence confirmed
+ * @property {*} [value] - value of the selected section
+ * @property {number} time - milliseconds since recording started
+ */
+
+/**
+ * Records the selections a user makes on a wheel, with their timings, and replays them through the wheel's
+ * programmatic API, e.g. for onboarding tutorials, macros or end-to-end tests. Programmatic selections aren't
+ * recorded, so a replay doesn't record itself
+ */
+export class UnraWheelRecorder {
+   /** @type {UnraWheel} */
+   #wheel;
+
+   /** @type {UnraWheelRecordedStep[]} */
+   #steps = [];
+
+   #startTime = 0;
+   #isRecording = false;
+   #replayToken = 0; // replays started before the latest stop() are stale
+
+   /**
+    * @param {UnraWheel} wheel - wheel to record and replay
+    */
+   constructor(wheel) {
+      this.#wheel = wheel;
+   }
+
+   /** @type {boolean} */
+   get recording() {
+      return this.#isRecording;
+   }
+
+   /**
+    * Start recording, discarding earlier steps
+    * @returns {void}
+    */
+   start() {
+      this.stop();
+      this.#steps = [];
+      this.#startTime = performance.now();
+      this.#isRecording = true;
+
+      this.#wheel.addEventListener('section-select', this.#onSelect);
+      this.#wheel.addEventListener('section-back', this.#onBack);
+      this.#wheel.addEventListener('cancel', this.#onBack);
+      this.#wheel.addEventListener('sequence-select', this.#onConfirm);
+   }
+
+   /**
+    * Stop recording, and any running replay
+    * @returns {UnraWheelRecordedStep[]} recorded steps
+    */
+   stop() {
+      this.#replayToken++;
+      this.#isRecording = false;
+
+      this.#wheel.removeEventListener('section-select', this.#onSelect);
+      this.#wheel.removeEventListener('section-back', this.#onBack);
+      this.#wheel.removeEventListener('cancel', this.#onBack);
+      this.#wheel.removeEventListener('sequence-select', this.#onConfirm);
+      return [...this.#steps];
+   }
+
+   /**
+    * Replay recorded steps with their timings
+    * @param {UnraWheelRecordedStep[]} [steps] - steps to replay, by default the last recording
+    * @param {Object} [options]
+    * @param {number} [options.speed=1] - playback speed, e.g. 2 for twice as fast; Infinity replays without waiting
+    * @returns {Promise<boolean>} resolves to false if a step couldn't be replayed or replay was stopped
+    */
+   async replay(steps = this.#steps, { speed = 1 } = {}) {
+      if (!(speed > 0)) throw new TypeError('[UnraWheel] Invalid replay speed: expected a number greater than zero');
+      if (this.#isRecording) this.stop();
+
+      const token = ++this.#replayToken;
+      const startTime = performance.now();
+
+      for (const step of steps) {
+         const delay = startTime + step.time / speed - performance.now();
+         if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+         if (token !== this.#replayToken) return false;
+
+         const isReplayed = step.action === 'select' ? this.#wheel.select(step.value) : step.action === 'back' ? this.#wheel.back() : this.#wheel.confirm();
+         if (!isReplayed) return false;
+      }
+      return true;
+   }
+
+   /**
+    * Section select callback - record selected section
+    * @param {CustomEvent<UnraWheelSectionDetail>} e
+    * @returns {void}
+    */
+   #onSelect = (e) => {
+      if (e.detail.source === 'programmatic') return;
+      this.#steps.push({ action: 'select', value: e.detail.value, time: performance.now() - this.#startTime });
+   };
+
+   /**
+    * Section back and cancel callback - record back
+    * @param {CustomEvent<UnraWheelSectionDetail>} e
+    * @returns {void}
+    */
+   #onBack = (e) => {
+      if (e.detail.source === 'programmatic') return;
+      this.#steps.push({ action: 'back', time: performance.now() - this.#startTime });
+   };
+
+   /**
+    * Sequence select callback - record confirmation
+    * @param {CustomEvent<{path: Array<*>, source: UnraWheelInputSource}>} e
+    * @returns {void}
+    */
+   #onConfirm = (e) => {
+      if (e.detail.source === 'programmatic') return;
+      this.#steps.push({ action: 'confirm', time: performance.now() - this.#startTime });
+   };
+}
+
+/**
+ * @typedef {Object} UnraWheelControllerOptions
+ * @property {number|null} [sectionCount=null] - number of sections without the back section (like section-count);
+ *    levels with more sections are split into pages. null to have as many sections as the shown level
+ * @property {'end'|'center'|'none'|number} [backPosition='end'] - where back is (like back-position); with
+ *    'center' and 'none' it isn't a section
+ * @property {string} [backKey='Backspace'] - key binding of back
+ * @property {string} [nextPageKey='PageDown'] - key binding of the next page section
+ * @property {string} [previousPageKey='PageUp'] - key binding of the previous page section
+ * @property {boolean} [sequence=false] - collect selections into path until they're confirmed (like sequence)
+ * @property {boolean} [autoLock=false] - lock when a selection is made and unlock when new sections are set
+ */
 
-        .unrawheel--locked .section {
-            transition: fill 0.4s;
-            fill: #666;
-        }
+/**
+ * State of a wheel without the element: sections, shown level and page, lock, keyboard focus, loading and
+ * selection. UnraWheel keeps its state in one, and it works without a DOM too, e.g. for testing navigation in Node
+ * or for drawing a wheel by other means. Sections are referred to by their index on the wheel, where the back
+ * section and the page sections have their place too (see getItem())
+ *
+ * @fires before-select - before a section is selected, detail: UnraWheelSectionDetail; call preventDefault() to
+ *    keep the section from being selected
+ * @fires section-select - when a section is selected, detail: UnraWheelSectionDetail
+ * @fires section-focus - when focus moves to a section, detail: UnraWheelSectionDetail
+ * @fires section-back - when back is selected on a nested level, while children load or to remove the last selection
+ *    of a sequence, detail: UnraWheelSectionDetail (value is the value of the section whose children were shown or
+ *    loading, or of the removed selection)
+ * @fires cancel - when back is selected on the root level or cancel() is called, detail: UnraWheelSectionDetail
+ * @fires navigate - when the shown level changes, detail: { direction, path, items, source } (see UnraWheel)
+ * @fires page-change - when another page of the shown level is shown, detail: { page, pageCount, source }
+ * @fires path-select - when a section without children is selected, detail: { path, items, source }
+ * @fires path-change - when a selection is added to or removed from the sequence, detail: { path, source }
+ * @fires sequence-select - when the sequence is confirmed, detail: { path, source }
+ * @fires lock-change - when the controller is locked or unlocked, detail: { locked, source }
+ * @fires load-error - when loading sections fails, detail: { error, item } (item is null for the root level)
+ * @fires load-state-change - when loading starts, ends or fails, detail: { state } (see loadState)
+ * @fires level-change - when other sections are shown: a level, a page or new sections
+ */
+export class UnraWheelController extends EventTarget {
+   /**
+    * sections of the shown page, with the page sections; null until sections are set
+    * @type {UnraWheelData|null}
+    */
+   #items = null;
 
-        .section {
-            cursor: pointer;
-            transition: fill 0.2s;
-            fill: transparent;
-        }
+   /** @type {UnraWheelData|null} */
+   #rootData = null;
 
-        .section--back {
-        }
+   /** root level sections as they were set, bound to keys again when the options change */
+   #sourceData = null;
 
-        .section--empty {
-            fill: #666;
-         }
+   /** @type {UnraWheelData|null} sections of the shown level, across pages */
+   #levelData = null;
 
-        .section.section--selected {
-            animation: 0.1s ease flash;
-        }
+   /**
+    * items whose children are currently shown, from root level to current level
+    * @type {UnraWheelSection[]}
+    */
+   #parents = [];
 
-        @keyframes flash {
-            0% {
-                fill: #111;
-            }
-            100% {
-                fill: transparent;
-            }
-        }
+   // levels that don't fit on the wheel are split into pages
+   #page = 0;
+   #pageCount = 1;
+   #nextPageItem = { value: undefined, text: 'more' };
+   #previousPageItem = { value: undefined, text: 'previous' };
 
-        .section-pointer {
-            transform-origin: 0 0;
-            transition: transform 0.5s cubic-bezier(0.19, 1, 0.22, 1), opacity .2s ease;
-            opacity: 0;
-        }
+   // selections collected in sequence mode
+   #path = [];
+   #isSequence = false;
 
-        .section-pointer--show {
-            opacity: 1;
-        }
+   // sections loaded with a loader function
+   /** @type {UnraWheelLoader|null} */
+   #loader = null;
+   /** @type {'loading'|'error'|null} */
+   #loadState = null;
+   #loadToken = 0; // responses of earlier loads are stale
+   /** @type {Function|null} repeats the load that failed */
+   #retryLoad = null;
+   /** @type {UnraWheelSection|null} item whose children are loading, null for the root level */
+   #loadItem = null;
+   #pendingLoad = Promise.resolve(); // settles once the running load has been handled
 
-        .section-link:focus {
-            outline: none;
-        }
+   #staticSectionCount = false;
+   #sectionCount = 0; // with the back section
+   #backPosition = 'end'; // 'end', 'center', 'none' or section index
+   #backIndex = -1; // section index of back section, -1 if it isn't a section
+   #backKey = 'Backspace';
 
-        [role="listitem"]:has(> .section-link:focus) .section {
-            fill: #222;
-        }
-    `;
+   /** @type {WeakMap<UnraWheelSection, UnraWheelKeyBinding>} parsed key bindings of sections */
+   #keyBindings = new WeakMap();
 
-   static get observedAttributes() {
-      return ['data'];
-   }
+   #isLocked = true; // locked until the first sections are set
+   #isLockRequested = false; // lock state last set with setLocked, which the first sections don't override
+   #isDisabled = false;
+   #lockedBeforeDisabled = false; // lock state restored when the controller is enabled again
+   #autoLock = false;
+   #focusIndex = 0;
 
-   constructor() {
+   /**
+    * @param {string|UnraWheelData|Promise<string|UnraWheelData>|UnraWheelLoader} [data] - sections (see setSections)
+    * @param {UnraWheelControllerOptions} [options]
+    */
+   constructor(data, options = {}) {
       super();
-      this.attachShadow({ mode: 'open' });
+      this.configure(options);
+      if (data !== undefined) this.setSections(data);
+   }
 
-      // manage section count
-      const dynamicSectionCount = this.hasAttribute('dynamic-section-count');
-      if (!dynamicSectionCount) {
-         const sectionCountOption = this.getAttribute('section-count');
-         if (sectionCountOption === null) throw new TypeError('[UnraWheel] Invalid properties: section-count must be defined (or use dynamic-section-count)');
-         if (!Number(sectionCountOption) > 0) throw new TypeError('[UnraWheel] Invalid properties: section-count must be a number greater than zero');
+   /**
+    * Change options. Sections are bound to keys again, as the keys of back and the page sections are reserved, and
+    * the root level is shown
+    * @param {UnraWheelControllerOptions} [options]
+    * @returns {void}
+    */
+   configure({ sectionCount = null, backPosition = 'end', backKey = 'Backspace', nextPageKey = 'PageDown', previousPageKey = 'PageUp', sequence = false, autoLock = this.#autoLock } = {}) {
+      if (sectionCount !== null && !(Number.isInteger(sectionCount) && sectionCount > 0)) {
+         throw new TypeError('[UnraWheel] Invalid options: sectionCount must be an integer greater than zero or null');
+      }
+      if (!['end', 'center', 'none'].includes(backPosition) && !(Number.isInteger(backPosition) && backPosition >= 0)) {
+         throw new TypeError("[UnraWheel] Invalid options: backPosition must be 'end', 'center', 'none' or a section index");
+      }
+      for (const [name, key] of Object.entries({ backKey, nextPageKey, previousPageKey })) {
+         if (parseKeyBinding(key) === null) throw new TypeError(`[UnraWheel] Invalid options: ${name} must be a key binding (e.g. 'Backspace' or 'Ctrl+z')`);
+      }
 
-         this.#staticSectionCount = true;
-         this.#sectionCount = Number(sectionCountOption) + 1;
+      this.#backPosition = backPosition;
+      this.#backKey = backKey;
+      this.#staticSectionCount = sectionCount !== null;
+      if (this.#staticSectionCount) this.#sectionCount = sectionCount + (this.#hasBackSection() ? 1 : 0);
+      for (const [item, key] of [
+         [this.#nextPageItem, nextPageKey],
+         [this.#previousPageItem, previousPageKey],
+      ]) {
+         item.key = key;
+         this.#keyBindings.set(item, parseKeyBinding(key));
       }
+      this.#isSequence = sequence;
+      this.#autoLock = autoLock;
 
-      this.#autoLockWheel = this.hasAttribute('auto-lock');
+      if (this.#sourceData !== null) {
+         const wasNested = this.#parents.length > 0;
+         this.#cancelLoad();
+         this.#setData(this.#sourceData);
+         if (wasNested) this.#dispatchNavigate('root', 'programmatic');
+      }
+   }
 
-      // set initial data and unlock wheel if provided
-      if (this.hasAttribute('data')) {
-         this.#setData(this.getAttribute('data'));
-         this.#isLocked = false;
+   /**
+    * Set section data and show the root level. With a promise, the sections are shown once it resolves. With a
+    * loader function, the root level is loaded with it, and so are the children of every selected section that
+    * doesn't have children yet
+    * @param {string|UnraWheelData|Promise<string|UnraWheelData>|UnraWheelLoader} data - sections as JSON string
+    *    or array, a promise of them, or a loader function
+    * @returns {Promise<void>} resolves when the sections are shown (or loading failed)
+    */
+   setSections(data) {
+      if (typeof data === 'function') {
+         this.#loader = data;
+         return this.#load(
+            () => data(null, []),
+            (sections) => this.#showSections(sections),
+            () => this.setSections(data),
+            null
+         );
       }
-      this.#initialRender();
 
-      // render data if initial data provided
-      this.#data !== null && this.#render();
+      this.#loader = null;
+      if (data instanceof Promise)
+         return this.#load(
+            () => data,
+            (sections) => this.#showSections(sections),
+            null,
+            null
+         );
 
-      // add keyboard event listener
-      document.addEventListener('keydown', this.#onKeyPress);
+      this.#cancelLoad();
+      this.#showSections(data);
+      return Promise.resolve();
+   }
+
+   /**
+    * Set section data of root level and show it
+    * @param {string|UnraWheelData} data - sections as JSON string or array
+    * @returns {void}
+    */
+   #showSections(data) {
+      const isFirstData = this.#items === null;
+      this.#setData(data);
+
+      // a controller without sections is locked until it gets them, unless it was locked on purpose; a disabled
+      // controller stays locked until it's enabled
+      if (!this.#autoLock && (!isFirstData || this.#isLockRequested)) return;
+      if (this.#isDisabled) this.#lockedBeforeDisabled = false;
+      else this.setLocked(false);
    }
 
    /**
@@ -231,542 +4476,914 @@ export class UnraWheel extends HTMLElement {
     * @returns {void}
     */
    #setData(data) {
-      const self = this;
+      const sections = readSections(data);
+      this.#bindKeys(sections);
 
-      if (typeof data === 'string') {
-         try {
-            data = JSON.parse(data);
-         } catch (e) {
-            throw new TypeError('[UnraWheel] Invalid data: failed to parse JSON string');
-         }
-      }
-      if (!Array.isArray(data)) throw new TypeError('[UnraWheel] Invalid data: expected an array');
-      if (data.length === 0) throw new TypeError('[UnraWheel] Invalid data: array cannot be empty');
-      if (this.#staticSectionCount && data.length > this.#sectionCount - 1) throw new TypeError('[UnraWheel] Invalid data: too many options for given section count');
+      this.#sourceData = data;
+      this.#rootData = sections;
+      this.#parents.length = 0;
+      this.#setLevel(this.#rootData);
+   }
 
-      this.#data = data.map(function parseUnraWheelData(item, i) {
-         item = Object.assign({}, item);
+   /**
+    * Validate sections and fill in default keys (recursively for children)
+    * @param {Array} data - sections array
+    * @returns {UnraWheelData} parsed sections
+    */
+   #parseData(data) {
+      const sections = parseSections(data);
+      this.#bindKeys(sections);
+      return sections;
+   }
 
-         if (typeof item !== 'object' || item === null) {
-            throw new TypeError(`[UnraWheel] Invalid data: item at index ${i} must be an object`);
-         }
+   /**
+    * Bind keys to sections of a level and their children
+    * @param {UnraWheelData} sections - validated sections
+    * @param {number[]} [parentIndices=[]] - indices of parent items, used in error messages
+    * @returns {void}
+    */
+   #bindKeys(sections, parentIndices = []) {
+      const { pageSize } = this.#getPageLayout(sections.length);
+      const reservedKeys = new Map([[getKeyBindingId(parseKeyBinding(this.#backKey)), 'the back section']]);
+      if (pageSize !== Infinity) {
+         reservedKeys.set(getKeyBindingId(this.#keyBindings.get(this.#nextPageItem)), 'the next page section');
+         reservedKeys.set(getKeyBindingId(this.#keyBindings.get(this.#previousPageItem)), 'the previous page section');
+      }
 
-         if (!Object.hasOwn(item, 'value')) throw new TypeError(`[UnraWheel] Invalid data: item at index ${i} must have a 'value' property`);
+      bindKeys(sections, reservedKeys, pageSize, parentIndices).forEach((binding, item) => this.#keyBindings.set(item, binding));
+      sections.forEach((item, i) => item.children && this.#bindKeys(item.children, [...parentIndices, i]));
+   }
 
-         if (!Object.hasOwn(item, 'text')) throw new TypeError(`[UnraWheel] Invalid data: item at index ${i} must have a 'text' property`);
-         if (typeof item.text !== 'string') throw new TypeError(`[UnraWheel] Invalid data: 'text' in item at index ${i} must be a string`);
+   /**
+    * Get parsed key binding of a section
+    * @param {UnraWheelSection} item
+    * @returns {UnraWheelKeyBinding|undefined} undefined if the section has no key
+    */
+   getKeyBinding(item) {
+      return this.#keyBindings.get(item);
+   }
 
-         if (Object.hasOwn(item, 'image') && typeof item.image !== 'string') {
-            throw new TypeError(`[UnraWheel] Invalid data: 'image' in item at index ${i} must be a string (path or URL)`);
-         }
+   /**
+    * Get how a level is split into pages
+    * @param {number} itemCount - amount of sections in level
+    * @returns {{pageSize: number, hasPrevious: boolean, hasNext: boolean}} see getPageLayout
+    */
+   #getPageLayout(itemCount) {
+      // with dynamic section count every section fits
+      if (!this.#staticSectionCount) return getPageLayout(0, 0);
+      return getPageLayout(itemCount, this.#sectionCount - (this.#hasBackSection() ? 1 : 0));
+   }
 
-         if (!Object.hasOwn(item, 'key')) item.key = self.#defaultKeys[i];
-         else if (typeof item.key !== 'string' || item.key.length !== 1) throw new TypeError(`[UnraWheel] Invalid data: 'key' in item at index ${i} must be a string of length 1`);
+   /**
+    * Set sections of currently shown level
+    * @param {UnraWheelData} data - parsed sections
+    * @param {number} [page=0] - page to show if the level doesn't fit on the wheel
+    * @returns {void}
+    */
+   #setLevel(data, page = 0) {
+      this.#levelData = data;
 
-         return item;
-      });
+      // pages have the previous page section first and the next page section (with the page number) last
+      const { pageSize, hasPrevious, hasNext } = this.#getPageLayout(data.length);
+      this.#pageCount = pageSize === Infinity ? 1 : Math.ceil(data.length / pageSize);
+      this.#page = Math.min(Math.max(page, 0), this.#pageCount - 1);
+      if (this.#pageCount > 1) {
+         this.#nextPageItem.badge = `${this.#page + 1}/${this.#pageCount}`;
+         const pageItems = data.slice(this.#page * pageSize, (this.#page + 1) * pageSize);
+         this.#items = [...(hasPrevious ? [this.#previousPageItem] : []), ...pageItems, ...(hasNext ? [this.#nextPageItem] : [])];
+      } else {
+         this.#items = data;
+      }
 
       // update section count if using dynamic sections
-      const prevSegCount = this.#sectionCount;
-      if (!this.#staticSectionCount) {
-         this.#sectionCount = this.#data ? this.#data.length + 1 : 0;
-      }
+      if (!this.#staticSectionCount) this.#sectionCount = this.#items.length + (this.#hasBackSection() ? 1 : 0);
+      if (!this.#hasBackSection()) this.#backIndex = -1;
+      else this.#backIndex = this.#backPosition === 'end' ? this.#sectionCount - 1 : Math.min(this.#backPosition, this.#sectionCount - 1);
 
-      // re/set internal state
-      if (prevSegCount !== this.#sectionCount) {
-         this.#prevHoverIndex = 0;
-         this.#currSectionPointerRotation = 0;
-      }
+      // keyboard focus starts from the first selectable section of a level
+      this.#focusIndex = 0;
+      while (this.#focusIndex < this.#sectionCount - 1 && !this.isSelectable(this.#focusIndex)) this.#focusIndex++;
 
-      // pre-calculate values used for rendering
-      this.#angleStep = (2 * Math.PI) / this.#sectionCount;
-      this.#angleOffset = Math.PI + this.#angleStep / 2;
-      this.#keyDistanceFromCenter = 0.25 + Math.abs(0.1 * ((this.#sectionCount - 6) / 20)); // 0 - 1
+      this.dispatchEvent(new Event('level-change'));
    }
 
    /**
-    * Set section data and render
-    * @param {string|UnraWheelData} data - sections as JSON string or array
+    * Show children of the last item in #parents (or root level if there are none)
+    * @param {number} [page=0] - page to show if the level doesn't fit on the wheel
     * @returns {void}
     */
-   setSections(data) {
-      const prevSegCount = this.#data === null ? 0 : this.#sectionCount;
-      this.#setData(data);
-      this.#render(prevSegCount !== this.#sectionCount);
-      if (this.#autoLockWheel) this.toggleLockWheel(false);
+   #showCurrentLevel(page = 0) {
+      this.#setLevel(this.#parents.length > 0 ? this.#parents[this.#parents.length - 1].children : this.#rootData, page);
    }
 
    /**
-    * Toggle lock/unlock wheel for user input
-    * @param {boolean} toggleLock
+    * Show the root level, if a nested level is shown
+    * @param {UnraWheelInputSource} source - input that caused the navigation
+    * @returns {void}
     */
-   toggleLockWheel(toggleLock) {
-      if (toggleLock === this.#isLocked) return;
-      this.#isLocked = toggleLock;
+   #showRootLevel(source) {
+      if (this.#parents.length === 0) return;
 
-      // enable/disable pointer events
-      this.svg.classList[this.#isLocked ? 'add' : 'remove']('unrawheel--locked');
+      this.#parents.length = 0;
+      this.#showCurrentLevel();
+      this.#dispatchNavigate('root', source);
+   }
 
-      // make links selectable/unselectable
-      this.#elements.links.forEach((el) => {
-         el.setAttribute('tabindex', this.#isLocked ? '-1' : '0');
-      });
+   /**
+    * Check if back is shown as a section of the wheel
+    * @returns {boolean}
+    */
+   #hasBackSection() {
+      return this.#backPosition !== 'center' && this.#backPosition !== 'none';
    }
 
    /**
-    * Key press callback - handle section selection via key press
-    * @param {KeyboardEvent} e
+    * Sections shown on the wheel (on the shown page, with the page sections), without the back section; null until
+    * sections are set
+    * @type {UnraWheelData|null}
+    */
+   get items() {
+      return this.#items === null ? null : [...this.#items];
+   }
+
+   /**
+    * Sections of the shown level across pages, without the page sections; null until sections are set
+    * @type {UnraWheelData|null}
+    */
+   get levelItems() {
+      return this.#levelData === null ? null : [...this.#levelData];
+   }
+
+   /**
+    * Sections whose children are shown, from root level to shown level
+    * @type {UnraWheelSection[]}
+    */
+   get parents() {
+      return [...this.#parents];
+   }
+
+   /**
+    * Number of sections on the wheel, with the back section
+    * @type {number}
+    */
+   get sectionCount() {
+      return this.#sectionCount;
+   }
+
+   /**
+    * Section index of the back section, -1 if back isn't a section
+    * @type {number}
+    */
+   get backIndex() {
+      return this.#backIndex;
+   }
+
+   /** @type {'end'|'center'|'none'|number} */
+   get backPosition() {
+      return this.#backPosition;
+   }
+
+   /** @type {string} */
+   get backKey() {
+      return this.#backKey;
+   }
+
+   /**
+    * Shown page of the shown level (zero-based)
+    * @type {number}
+    */
+   get page() {
+      return this.#page;
+   }
+
+   /** @type {number} */
+   get pageCount() {
+      return this.#pageCount;
+   }
+
+   /**
+    * Section that shows the next page, with the page number as badge
+    * @type {UnraWheelSection}
+    */
+   get nextPageItem() {
+      return this.#nextPageItem;
+   }
+
+   /**
+    * Section that shows the previous page
+    * @type {UnraWheelSection}
+    */
+   get previousPageItem() {
+      return this.#previousPageItem;
+   }
+
+   /**
+    * Get item shown in a section
+    * @param {number} sectionIndex
+    * @returns {UnraWheelSection|undefined} undefined for back section and blank sections
+    */
+   getItem(sectionIndex) {
+      if (this.#items === null || sectionIndex === this.#backIndex) return undefined;
+      return this.#items[this.#backIndex !== -1 && sectionIndex > this.#backIndex ? sectionIndex - 1 : sectionIndex];
+   }
+
+   /**
+    * Get section an item is shown in
+    * @param {number} itemIndex - index of item on the shown page (see items)
+    * @returns {number} section index
+    */
+   getSectionIndex(itemIndex) {
+      return this.#backIndex !== -1 && itemIndex >= this.#backIndex ? itemIndex + 1 : itemIndex;
+   }
+
+   /**
+    * Check if section can be selected (back section or section with data)
+    * @param {number} sectionIndex - index of section
+    * @returns {boolean}
+    */
+   isSelectable(sectionIndex) {
+      if (sectionIndex === this.#backIndex) return true;
+      const item = this.getItem(sectionIndex);
+      return item !== undefined && !item.disabled;
+   }
+
+   /**
+    * Get event detail describing a section
+    * @param {number} sectionIndex - section index, or back section index for back
+    * @param {UnraWheelInputSource} [source='programmatic']
+    * @returns {UnraWheelSectionDetail}
+    */
+   getSectionDetail(sectionIndex, source = 'programmatic') {
+      const item = sectionIndex === this.#backIndex ? null : (this.getItem(sectionIndex) ?? null);
+      return { index: sectionIndex, item, value: item?.value, key: item ? item.key : this.#backKey, source };
+   }
+
+   /**
+    * Run a load, reporting its state and an error if it fails
+    * @param {Function} request - returns data or a promise of it
+    * @param {Function} onLoad - called with the data, unless a newer load was started or the load was cancelled
+    * @param {Function|null} retry - repeats the load, null if it can't be repeated
+    * @param {UnraWheelSection|null} item - item whose children are loaded, null for the root level
+    * @returns {Promise<void>} resolves when the loaded data has been handled or loading failed
+    */
+   #load(request, onLoad, retry, item) {
+      const token = ++this.#loadToken;
+      this.#loadItem = item;
+      this.#setLoadState('loading');
+
+      return (this.#pendingLoad = new Promise((resolve) => resolve(request()))
+         .then((data) => {
+            if (token !== this.#loadToken) return;
+            this.#setLoadState(null);
+            onLoad(data);
+         })
+         .catch((error) => {
+            if (token !== this.#loadToken) return;
+            this.#retryLoad = retry;
+            this.#setLoadState('error');
+            this.dispatchEvent(new CustomEvent('load-error', { detail: { error, item } }));
+         }));
+   }
+
+   /**
+    * Discard the running load (its response is ignored) and clear loading or error state
     * @returns {void}
     */
-   #onKeyPress = (e) => {
-      if (this.#isLocked) return;
+   #cancelLoad() {
+      this.#loadToken++;
+      this.#setLoadState(null);
+   }
 
-      if (e.key === 'Backspace') {
-         this.#onSectionSelect(this.#elements.sections.length - 1);
-         return;
-      }
+   /**
+    * Set load state
+    * @param {'loading'|'error'|null} state
+    * @returns {void}
+    */
+   #setLoadState(state) {
+      if (state === this.#loadState) return;
+      this.#loadState = state;
+      if (state !== 'error') this.#retryLoad = null;
 
-      const index = this.#data.findIndex((item) => item.key === e.key);
-      if (index !== -1) this.#onSectionSelect(index);
-   };
+      this.dispatchEvent(new CustomEvent('load-state-change', { detail: { state } }));
+   }
 
    /**
-    * Mouse click callback - handle section selection via mouse click
-    * @param {MouseEvent} e
+    * Whether sections are being loaded ('loading'), loading them failed ('error') or neither (null)
+    * @type {'loading'|'error'|null}
+    */
+   get loadState() {
+      return this.#loadState;
+   }
+
+   /**
+    * Whether the failed load can be repeated with retry(); loads of a promise can't
+    * @type {boolean}
+    */
+   get canRetry() {
+      return this.#loadState === 'error' && this.#retryLoad !== null;
+   }
+
+   /**
+    * Repeat the failed load
+    * @returns {boolean} false if there's no load to repeat
+    */
+   retry() {
+      if (!this.canRetry) return false;
+      this.#retryLoad();
+      return true;
+   }
+
+   /**
+    * Load children of a selected section with the loader; sections without children are selected as usual
+    * @param {UnraWheelSection} item - selected section
+    * @param {UnraWheelInputSource} source - input used to select the section
+    * @returns {Promise<void>}
+    */
+   #loadChildren(item, source) {
+      const path = this.#parents.map((parent) => parent.value);
+
+      return this.#load(
+         () => this.#loader(item, path),
+         (data) => {
+            if (typeof data === 'string') data = JSON.parse(data);
+            if (data === null || data === undefined || (Array.isArray(data) && data.length === 0)) {
+               if (this.#autoLock && !this.#isSequence) this.setLocked(true, source);
+               this.#selectLeaf(item, source);
+               return;
+            }
+            if (!Array.isArray(data)) throw new TypeError('[UnraWheel] Invalid data: expected an array');
+
+            item.children = this.#parseData(data);
+            this.#parents.push(item);
+            this.#showCurrentLevel();
+            this.#dispatchNavigate('in', source);
+         },
+         () => this.#loadChildren(item, source),
+         item
+      );
+   }
+
+   /**
+    * Whether the controller is locked for user input; a locked controller ignores focus and selection. It's locked
+    * until it gets its first sections, unless it was unlocked on purpose
+    * @type {boolean}
+    */
+   get locked() {
+      return this.#isLocked;
+   }
+
+   /**
+    * Lock/unlock for user input
+    * @param {boolean} locked
+    * @param {UnraWheelInputSource} [source='programmatic'] - input that caused the change
     * @returns {void}
     */
-   #onSectionClick = (e) => {
-      const index = Number(e.target.dataset.section);
-      this.#onSectionSelect(index);
-   };
+   setLocked(locked, source = 'programmatic') {
+      this.#isLockRequested = locked;
+      if (locked === this.#isLocked) return;
+      this.#isLocked = locked;
+      this.dispatchEvent(new CustomEvent('lock-change', { detail: { locked, source } }));
+   }
 
    /**
-    * Mouse hover callback - handle moving section pointer
-    * @param {MouseEvent} e
+    * Whether the controller is disabled, e.g. by a form
+    * @type {boolean}
+    */
+   get disabled() {
+      return this.#isDisabled;
+   }
+
+   /**
+    * Disable/enable, e.g. when a form is disabled. Disabling locks the controller, and enabling restores the lock
+    * state from before (unlocked if auto-lock unlocked it in the meantime)
+    * @param {boolean} disabled
+    * @param {UnraWheelInputSource} [source='programmatic'] - input that caused the change
     * @returns {void}
     */
-   #onSectionHover = (e) => {
-      const index = Number(e.target.getAttribute('data-section'));
-      if (index === this.#prevHoverIndex) return;
+   setDisabled(disabled, source = 'programmatic') {
+      if (disabled === this.#isDisabled) return;
+      if (disabled) this.#lockedBeforeDisabled = this.#isLockRequested;
+      this.#isDisabled = disabled;
+      this.setLocked(disabled || this.#lockedBeforeDisabled, source);
+   }
+
+   /**
+    * Whether the controller locks when a selection is made and unlocks when new sections are set
+    * @type {boolean}
+    */
+   get autoLock() {
+      return this.#autoLock;
+   }
 
-      if (index > this.#data.length - 1 && index !== this.#sectionCount - 1) return;
+   set autoLock(autoLock) {
+      this.#autoLock = Boolean(autoLock);
+   }
 
-      // TODO figure out how this is done by sane people
-      const distThroughZero = this.#sectionCount - this.#prevHoverIndex + index;
-      const distThroughZeroReverse = -(this.#sectionCount + this.#prevHoverIndex - index);
-      const distDirect = index - this.#prevHoverIndex;
+   /**
+    * Whether selections are collected into path until they're confirmed
+    * @type {boolean}
+    */
+   get sequence() {
+      return this.#isSequence;
+   }
 
-      const distance = [distThroughZero, distThroughZeroReverse, distDirect].reduce((dist, prev, index) => {
-         return index === 0 ? dist : Math.abs(dist) < Math.abs(prev) ? dist : prev;
-      });
+   /**
+    * Section index of the focused section
+    * @type {number}
+    */
+   get focusIndex() {
+      return this.#focusIndex;
+   }
 
-      const newRotation = this.#currSectionPointerRotation + (360 / this.#sectionCount) * distance;
-      this.sectionPointerElem.style.transform = `rotate(${newRotation.toString()}deg)`;
+   /**
+    * Move focus to a section
+    * @param {number} sectionIndex
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to move focus
+    * @returns {boolean} false if locked, or the section can't be selected
+    */
+   focus(sectionIndex, source = 'programmatic') {
+      if (this.#isLocked || !this.isSelectable(sectionIndex)) return false;
 
-      this.#currSectionPointerRotation = newRotation;
-      this.#prevHoverIndex = index;
-   };
+      this.#focusIndex = sectionIndex;
+      this.dispatchEvent(new CustomEvent('section-focus', { detail: this.getSectionDetail(sectionIndex, source) }));
+      return true;
+   }
 
    /**
-    * Mouse enter callback - show section pointer
-    * @param {MouseEvent} e
-    * @returns {void}
+    * Move focus to the next selectable section in a direction, wrapping around the wheel
+    * @param {1|-1} [direction=1] - 1 for clockwise, -1 for counter-clockwise
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to move focus
+    * @returns {boolean} false if locked or there's no section to move to
     */
-   #onMouseEnter = (e) => {
-      this.#isMouseOver = true;
-      this.sectionPointerElem && this.sectionPointerElem.classList.add('section-pointer--show');
-   };
+   focusNext(direction = 1, source = 'programmatic') {
+      return this.focus(this.getNextSelectableSection(this.#focusIndex, direction), source);
+   }
 
    /**
-    * Mouse leave callback - hide section pointer
-    * @param {MouseEvent} e
-    * @returns {void}
+    * Get next selectable section in a direction, wrapping around the wheel
+    * @param {number} index - section index to start from
+    * @param {1|-1} direction - 1 for clockwise, -1 for counter-clockwise
+    * @returns {number} section index
     */
-   #onMouseLeave = (e) => {
-      this.#isMouseOver = false;
-      this.sectionPointerElem && this.sectionPointerElem.classList.remove('section-pointer--show');
-   };
+   getNextSelectableSection(index, direction) {
+      for (let i = 0; i < this.#sectionCount; i++) {
+         index = (index + direction + this.#sectionCount) % this.#sectionCount;
+         if (this.isSelectable(index)) return index;
+      }
+      return index;
+   }
 
    /**
-    * Handle section select
-    * @param {number} sectionIndex - index of section to select
-    * @returns {void}
+    * Select a section: show its children (loading them with the loader if needed), turn the page for page
+    * sections, go back for the back section, or hand the path to it to the user and return to the root level
+    * @param {number} [sectionIndex=focusIndex]
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to select the section
+    * @returns {boolean} false if locked or loading, the section can't be selected, or a before-select listener
+    *    prevented it
     */
-   #onSectionSelect = (sectionIndex) => {
-      // last section is the back button
-      const isBackSection = sectionIndex === this.#elements.sections.length - 1;
+   selectSection(sectionIndex = this.#focusIndex, source = 'programmatic') {
+      if (this.#isLocked || !this.isSelectable(sectionIndex)) return false;
 
-      if (!isBackSection && (this.#data[sectionIndex] === undefined || this.#data[sectionIndex]?.key === '')) return;
+      if (sectionIndex === this.#backIndex) return this.#selectBack(source);
+      if (this.#loadState === 'loading') return false;
 
-      const elem = this.#elements.sections[sectionIndex];
+      const item = this.getItem(sectionIndex);
 
-      if (!elem.classList.contains('section--selected')) {
-         elem.classList.add('section--selected');
-         setTimeout(() => {
-            elem && elem.classList.remove('section--selected');
-         }, 100);
+      // page sections only turn the page
+      if (item === this.#nextPageItem || item === this.#previousPageItem) return this.turnPage(item === this.#nextPageItem ? 1 : -1, source);
+
+      const detail = this.getSectionDetail(sectionIndex, source);
+      if (!this.dispatchEvent(new CustomEvent('before-select', { detail, cancelable: true }))) return false;
+
+      const selectEvent = new CustomEvent('section-select', { detail });
+
+      // move inside the tree without handing control to the user: items with children push one level
+      if (item.children) {
+         this.#parents.push(item);
+         this.#showCurrentLevel();
+         this.dispatchEvent(selectEvent);
+         this.#dispatchNavigate('in', source);
+         return true;
       }
 
-      if (this.#autoLockWheel) this.toggleLockWheel(true);
+      // children are loaded by the loader; the level is shown (or the section handled as a leaf) once they arrive
+      if (this.#loader !== null) {
+         this.dispatchEvent(selectEvent);
+         this.#loadChildren(item, source);
+         return true;
+      }
 
-      this.dispatchEvent(
-         new CustomEvent('section-select', {
-            detail: {
-               value: sectionIndex === -1 || sectionIndex === this.#sectionCount - 1 ? -1 : this.#data[sectionIndex].value,
-            },
-         })
-      );
-   };
+      if (this.#autoLock && !this.#isSequence) this.setLocked(true, source);
+
+      this.dispatchEvent(selectEvent);
+      this.#selectLeaf(item, source);
+      return true;
+   }
 
    /**
-    * Get default key by section index
-    * @param {number} index - section index
-    * @returns {string} default key
+    * Select a section on the shown level by its value, turning to its page if needed
+    * @param {*} value - value of the section
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to select the section
+    * @returns {boolean} false if the section couldn't be selected (see selectSection())
     */
-   indexToDefaultKey(index) {
-      return this.#defaultKeys[index % this.defaultKeys.length];
+   select(value, source = 'programmatic') {
+      if (this.#levelData === null) return false;
+      return this.selectIndex(
+         this.#levelData.findIndex((item) => item.value === value),
+         source
+      );
    }
 
    /**
-    * Create text element
-    * @param {'key'|'content'} type
-    * @param {number} x - x-pos of text center
-    * @param {number} y - y-pos of text center
-    * @returns {SVGTextElement}
+    * Select a section on the shown level by its position, like select()
+    * @param {number} index - index of the section on the shown level (across pages)
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to select the section
+    * @returns {boolean} false if the section couldn't be selected (see selectSection())
     */
-   #createTextElement(type, x, y) {
-      const { size, font, color } = this.style[type === 'key' ? 'keyText' : 'contentText'];
-
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      el.setAttribute('x', x);
-      el.setAttribute('y', y);
-      el.setAttribute('font-size', size);
-      el.setAttribute('font-family', font);
-      el.setAttribute('fill', color);
-      el.setAttribute('text-anchor', 'middle');
-      el.setAttribute('dominant-baseline', 'middle');
-      el.setAttribute('pointer-events', 'none');
-
-      // text for options is set in links for screenreaders
-      el.setAttribute('aria-hidden', 'true');
+   selectIndex(index, source = 'programmatic') {
+      if (this.#isLocked) return false;
 
-      // shift letters downwards to compensate for weird font baseline stuff that causes letters on lower
-      // sections to appear closer to the center than letters on upper sections
-      el.setAttribute('dy', '-.06em');
-      el.setAttribute('dx', '-.07em');
+      const sectionIndex = this.showItem(index, source);
+      if (sectionIndex === -1) return false;
 
-      return el;
+      return this.selectSection(sectionIndex, source);
    }
 
    /**
-    * Create section element
-    * @param {number} index - section index (0..n)
-    * @param {number} x1 - x-pos of 1st corner of sector
-    * @param {number} y1 - y-pos of 1st corner
-    * @param {number} x2 - x-pos of 2nd corner
-    * @param {number} y2 - y-pos of 2nd corner
-    * @returns {SVGPathElement } section
+    * Select sections one after another starting from the root level, waiting for children from the loader where
+    * needed. In sequence mode, values after a section without children are added to the sequence too
+    * @param {Array<*>} path - values of sections to select, from root level down
+    * @returns {Promise<boolean>} resolves to false if a section couldn't be selected, which ends the path there
     */
-   #createSectionElement(index, x1, y1, x2, y2) {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      el.setAttribute('d', `M 0 0 L ${x1} ${y1} A 1 1 0 0 1 ${x2} ${y2} Z`);
-      el.setAttribute('stroke', this.style.section.stroke.color);
-      el.setAttribute('stroke-width', this.style.section.stroke.width);
-      el.setAttribute('class', 'section');
-      el.setAttribute('data-section', index);
-      el.setAttribute('aria-hidden', 'true');
+   async selectPath(path) {
+      if (!Array.isArray(path)) throw new TypeError('[UnraWheel] Invalid path: expected an array of values');
+      if (this.#items === null || this.#isLocked) return false;
 
-      return el;
+      if (this.#loadState !== null) this.#cancelLoad();
+      this.#showRootLevel('programmatic');
+
+      for (const value of path) {
+         if (!this.select(value)) return false;
+         if (this.#loadState === 'loading') await this.#pendingLoad;
+         if (this.#loadState === 'error') return false;
+      }
+      return true;
    }
 
    /**
-    * Create link element
-    * @param {number} index - section index (0..n)
-    * @returns {SVGAElement}
+    * Select back: return to the previous level, remove the last selection of the sequence, or cancel on the root
+    * level. Going back while the next level loads only discards it
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to select back
+    * @returns {boolean} false if locked, there are no sections, or a before-select listener prevented it
     */
-   #createLinkElement(index) {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'a');
-      el.setAttribute('tabindex', this.#isLocked ? '-1' : '0');
-      el.setAttribute('class', 'section-link');
-      el.setAttribute('href', 'javascript:void(0);');
-      el.setAttribute('data-section', index);
-
-      return el;
+   back(source = 'programmatic') {
+      if (this.#items === null || this.#isLocked) return false;
+      return this.#selectBack(source);
    }
 
    /**
-    * Create image element
-    * @param {number} x - x-pos of image center
-    * @param {number} y - y-pos of image center
-    * @returns {SVGImageElement}
+    * Handle back selection
+    * @param {UnraWheelInputSource} source - input used to select back
+    * @returns {boolean} false if a before-select listener prevented it
     */
-   #createImageElement(x, y) {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'image');
-      el.setAttribute('x', x - this.style.image.width / 2);
-      el.setAttribute('y', y - this.style.image.height / 2);
-      el.setAttribute('pointer-events', 'none');
-      el.setAttribute('width', this.style.image.width);
-      el.setAttribute('height', this.style.image.height);
-      el.setAttribute('href', '');
-      el.setAttribute('aria-hidden', 'true');
+   #selectBack(source) {
+      const detail = this.getSectionDetail(this.#backIndex, source);
+      if (!this.dispatchEvent(new CustomEvent('before-select', { detail, cancelable: true }))) return false;
 
-      return el;
+      // going back while children load fires section-back too, as the level that was about to be shown is left
+      if (this.#loadState === 'loading') {
+         const item = this.#loadItem;
+         this.#cancelLoad();
+         this.dispatchEvent(new CustomEvent('section-back', { detail: { ...detail, value: item?.value } }));
+         return true;
+      }
+
+      // move up inside the tree without handing control to the user
+      if (this.#parents.length > 0) {
+         const parent = this.#parents.pop();
+         // return to the page the section is on
+         const level = this.#parents.length > 0 ? this.#parents[this.#parents.length - 1].children : this.#rootData;
+         this.#showCurrentLevel(Math.floor(level.indexOf(parent) / this.#getPageLayout(level.length).pageSize));
+         this.dispatchEvent(new CustomEvent('section-back', { detail: { ...detail, value: parent.value } }));
+         this.#dispatchNavigate('out', source);
+         return true;
+      }
+
+      // on the root level of a sequence, back removes the last selection
+      if (this.#isSequence && this.#path.length > 0) {
+         const value = this.#path[this.#path.length - 1];
+         this.#setPath(this.#path.slice(0, -1), source);
+         this.dispatchEvent(new CustomEvent('section-back', { detail: { ...detail, value } }));
+         return true;
+      }
+
+      return this.#cancel(source);
    }
 
    /**
-    * Create section-pointer element
-    * @param {number} x1 - x-pos of 1st corner of sector
-    * @param {number} y1 - y-pos of 1st corner
-    * @param {number} x2 - x-pos of 2nd corner
-    * @param {number} y2 - y-pos of 2nd corner
-    * @returns {SVGPathElement} section-pointer
+    * Cancel selecting: discard the sequence and return to root level
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to cancel
+    * @returns {boolean} false if locked or there are no sections
     */
-   #createSectionPointerElement(x1, y1, x2, y2) {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      el.setAttribute('d', `M 0 0 L ${x1} ${y1} A 1 1 0 0 1 ${x2} ${y2} Z`);
-      el.setAttribute('fill', 'none');
-      el.setAttribute('stroke', this.style.sectionPointer.stroke.color);
-      el.setAttribute('stroke-linejoin', 'round');
-      el.setAttribute('stroke-width', this.style.sectionPointer.stroke.width);
-      el.setAttribute('pointer-events', 'none');
-      el.setAttribute('class', 'section-pointer');
-      el.setAttribute('id', 'section-pointer');
-      el.setAttribute('aria-hidden', 'true');
-
-      return el;
+   cancel(source = 'programmatic') {
+      if (this.#items === null || this.#isLocked) return false;
+      return this.#cancel(source);
    }
 
    /**
-    * Create wheel background element
-    * @returns {SVGCircleElement}
+    * Handle cancel
+    * @param {UnraWheelInputSource} source - input used to cancel
+    * @returns {boolean}
     */
-   #createBackgroundElement() {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      el.setAttribute('cx', '0');
-      el.setAttribute('cy', '0');
-      el.setAttribute('r', this.#radiusScale);
-      el.setAttribute('fill', this.style.background.color);
+   #cancel(source) {
+      if (this.#loadState !== null) this.#cancelLoad();
+      if (this.#autoLock) this.setLocked(true, source);
+      if (this.#path.length > 0) this.#setPath([], source);
 
-      return el;
+      this.dispatchEvent(new CustomEvent('cancel', { detail: this.getSectionDetail(this.#backIndex, source) }));
+      this.#showRootLevel(source);
+      return true;
    }
 
    /**
-    * Create center circle element
-    * @returns {SVGCircleElement}
+    * Return to the root level, discarding a running load
+    * @param {UnraWheelInputSource} [source='programmatic'] - input that caused the navigation
+    * @returns {void}
     */
-   #createCenterCircleElement() {
-      const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      el.setAttribute('cx', '0');
-      el.setAttribute('cy', '0');
-      el.setAttribute('r', '0.18');
-      el.setAttribute('fill', this.style.center.fillColor);
-      el.setAttribute('stroke', this.style.center.stroke.color);
-      el.setAttribute('stroke-width', this.style.center.stroke.width);
+   reset(source = 'programmatic') {
+      this.#cancelLoad();
+      this.#showRootLevel(source);
+   }
 
-      return el;
+   /**
+    * Show the next or previous page of the shown level, wrapping around from the last page to the first
+    * @param {1|-1} direction - 1 for next page, -1 for previous page
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to turn the page
+    * @returns {boolean} false if locked or loading, or the level has only one page
+    */
+   turnPage(direction, source = 'programmatic') {
+      if (this.#isLocked || this.#loadState === 'loading' || this.#pageCount === 1) return false;
+      this.#showPage((this.#page + direction + this.#pageCount) % this.#pageCount, source);
+      return true;
    }
 
    /**
-    * Render component skeleton (run once)
+    * Show a page of the shown level
+    * @param {number} page
+    * @param {UnraWheelInputSource} source - input that caused the page to be shown
     * @returns {void}
     */
-   #initialRender() {
-      // add stylesheet
-      const style = document.createElement('style');
-      style.textContent = this.#CSS;
-      this.shadowRoot.appendChild(style);
-
-      // root svg element
-      this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      this.svg.setAttribute('viewBox', '-1 -1 2 2');
-      this.svg.setAttribute('role', 'group');
-      this.svg.setAttribute('aria-live', 'polite');
+   #showPage(page, source) {
+      this.#showCurrentLevel(page);
+      this.dispatchEvent(new CustomEvent('page-change', { detail: { page: this.#page, pageCount: this.#pageCount, source } }));
+   }
 
-      // container for root svg element
-      const container = document.createElement('div');
-      container.appendChild(this.svg);
-      this.shadowRoot.appendChild(container);
+   /**
+    * Get section of an item on the shown level, showing the page it's on first
+    * @param {number} itemIndex - index of item on the shown level (across pages)
+    * @param {UnraWheelInputSource} [source='programmatic'] - input that caused the item to be shown
+    * @returns {number} section index, -1 if there's no such item
+    */
+   showItem(itemIndex, source = 'programmatic') {
+      const level = this.#levelData;
+      if (level === null || !Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= level.length) return -1;
 
-      // root svg mouse events
-      this.svg.addEventListener('mouseenter', this.#onMouseEnter);
-      this.svg.addEventListener('mouseleave', this.#onMouseLeave);
+      const page = Math.floor(itemIndex / this.#getPageLayout(level.length).pageSize);
+      if (this.#pageCount > 1 && page !== this.#page) this.#showPage(page, source);
+      return this.getSectionIndex(this.#items.indexOf(level[itemIndex]));
    }
 
    /**
-    * Render component
-    * @param {boolean} [sectionCountChanged=true] - true if sections should be redrawn (count changed)
+    * Hand selection of a section without children to the user: emit full path and return to root level.
+    * In sequence mode the section is added to the sequence instead
+    * @param {UnraWheelSection} item - selected section
+    * @param {UnraWheelInputSource} source - input used to select the section
+    * @returns {void}
     */
-   #render(sectionCountChanged = true) {
-      if (sectionCountChanged) {
-         // remove existing content from memory
-         this.#elements.sections.length = this.#elements.links.length = this.#elements.images.length = this.#elements.keyTexts.length = this.#elements.contentTexts.length = 0;
+   #selectLeaf(item, source) {
+      const items = [...this.#parents, item];
 
-         // batch dom changes in fragment
-         const root = document.createDocumentFragment();
-
-         // draw background circle
-         root.appendChild(this.#createBackgroundElement());
+      if (this.#isSequence) this.#setPath([...this.#path, item.value], source);
 
-         // create group for sections
-         const sectionList = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-         sectionList.setAttribute('role', 'list');
-         sectionList.setAttribute('id', 'wheel-sections');
-         sectionList.setAttribute('aria-label', 'wheel of selectable options');
-         root.appendChild(sectionList);
+      this.dispatchEvent(
+         new CustomEvent('path-select', {
+            detail: {
+               path: items.map((pathItem) => pathItem.value),
+               items,
+               source,
+            },
+         })
+      );
 
-         // generate sections
-         for (let i = 0; i < this.#sectionCount; i++) {
-            // create group for section
-            const sectionGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            sectionGroup.setAttribute('role', 'listitem');
-            sectionList.appendChild(sectionGroup);
+      this.#showRootLevel(source);
+   }
 
-            // create link (for tab navigation and screen readers)
-            const link = this.#createLinkElement(i);
-            link.addEventListener('click', this.#onSectionClick);
-            sectionGroup.appendChild(link);
-            this.#elements.links.push(link);
+   /**
+    * Values of the sections selected so far in sequence mode, from first to last
+    * @type {Array<*>}
+    */
+   get path() {
+      return [...this.#path];
+   }
 
-            // calculate angles and coordinates
-            const startAngle = i * this.#angleStep + this.#angleOffset;
-            const endAngle = (i + 1) * this.#angleStep + this.#angleOffset;
+   /**
+    * Replace the sequence of selections
+    * @param {Array<*>} path - values of selected sections, from first to last
+    * @param {UnraWheelInputSource} [source='programmatic'] - input that caused the change
+    * @returns {void}
+    */
+   setPath(path, source = 'programmatic') {
+      if (!Array.isArray(path)) throw new TypeError('[UnraWheel] Invalid path: expected an array of values');
+      this.#setPath([...path], source);
+   }
 
-            const x1 = Math.cos(startAngle) * this.#radiusScale;
-            const y1 = Math.sin(startAngle) * this.#radiusScale;
-            const x2 = Math.cos(endAngle) * this.#radiusScale;
-            const y2 = Math.sin(endAngle) * this.#radiusScale;
+   /**
+    * Update the sequence of selections
+    * @param {Array<*>} path
+    * @param {UnraWheelInputSource} source - input that caused the change
+    * @returns {void}
+    */
+   #setPath(path, source) {
+      this.#path = path;
+      this.dispatchEvent(new CustomEvent('path-change', { detail: { path: [...path], source } }));
+   }
 
-            // draw the section
-            const section = this.#createSectionElement(i, x1, y1, x2, y2);
-            section.addEventListener('click', this.#onSectionClick);
-            section.addEventListener('mouseenter', this.#onSectionHover);
-            // last section is the back button
-            if (i === this.#sectionCount - 1) section.classList.add('section--back');
-            sectionGroup.appendChild(section);
-            this.#elements.sections.push(section);
+   /**
+    * Hand the sequence of selections to the user: emit it and start a new sequence on the root level
+    * @param {UnraWheelInputSource} [source='programmatic'] - input used to confirm
+    * @returns {boolean} false if locked, not in sequence mode or there's nothing to confirm
+    */
+   confirm(source = 'programmatic') {
+      if (this.#items === null || this.#isLocked || !this.#isSequence || this.#path.length === 0) return false;
 
-            // create pointer once
-            if (i === 0) {
-               this.sectionPointerElem = this.#createSectionPointerElement(x1, y1, x2, y2);
-               if (this.#isMouseOver) this.sectionPointerElem.classList.add('section-pointer--show');
-            }
+      const path = this.#path;
+      if (this.#loadState === 'loading') this.#cancelLoad();
+      if (this.#autoLock) this.setLocked(true, source);
 
-            // calculate angles and coordinates for image / key text / content text
-            const midAngle = startAngle + this.#angleStep / 2;
-            const midX = Math.cos(midAngle);
-            const midY = Math.sin(midAngle);
-
-            const keyTextX = midX * this.#keyDistanceFromCenter;
-            const keyTextY = midY * this.#keyDistanceFromCenter;
-            const imageX = midX * this.#imageDistanceFromCenter;
-            const imageY = midY * this.#imageDistanceFromCenter;
-            const textX = imageX;
-            const textY = imageY - this.style.image.height / 1.2;
-
-            // draw key text
-            const keyText = this.#createTextElement('key', keyTextX, keyTextY);
-            this.#elements.keyTexts.push(keyText);
-
-            // draw content text
-            const conText = this.#createTextElement('content', textX, textY);
-            this.#elements.contentTexts.push(conText);
-
-            // draw image
-            const imageContent = this.#createImageElement(imageX, imageY);
-            this.#elements.images.push(imageContent);
-
-            // last section is back button; draw arrow icon
-            if (i === this.#sectionCount - 1) {
-               const tMidX = midX * 0.83;
-               const tMidY = midY * 0.83;
-               const scale = 0.08;
-
-               const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-               arrow.setAttribute('points', `${tMidX - scale},${tMidY} ${tMidX},${tMidY + scale} ${tMidX},${tMidY - scale}`);
-               arrow.setAttribute('fill', this.style.backArrow.fillColor);
-               sectionGroup.appendChild(arrow);
-            }
-         }
+      this.dispatchEvent(new CustomEvent('sequence-select', { detail: { path: [...path], source } }));
+      this.#setPath([], source);
+      this.#showRootLevel(source);
+      return true;
+   }
 
-         // append these here so they always render on top
-         for (let i = 0; i < this.#sectionCount; i++) {
-            root.appendChild(this.#elements.keyTexts[i]);
-            root.appendChild(this.#elements.images[i]);
-            root.appendChild(this.#elements.contentTexts[i]);
-         }
+   /**
+    * Dispatch navigate event for the level that is now shown
+    * @param {'in'|'out'|'root'} direction
+    * @param {UnraWheelInputSource} source
+    * @returns {void}
+    */
+   #dispatchNavigate(direction, source) {
+      const items = [...this.#parents];
+      this.dispatchEvent(new CustomEvent('navigate', { detail: { direction, path: items.map((item) => item.value), items, source } }));
+   }
+}
 
-         // draw section pointer and center circle
-         root.appendChild(this.sectionPointerElem);
-         root.appendChild(this.#createCenterCircleElement());
+let renderCount = 0;
 
-         // replace existing content
-         this.svg.replaceChildren(root);
-      }
+/**
+ * Render the root level of a wheel as SVG markup, without a DOM, e.g. for server-rendered previews or thumbnails.
+ * The markup is static: colours and fonts are attributes instead of CSS, and there is no interaction. A root level
+ * with more sections than sectionCount shows its first page, with the page sections of the element
+ * @param {string|UnraWheelData} data - sections as JSON string or array
+ * @param {Object} [options]
+ * @param {Object} [options.style] - properties to change in the default style, shaped like UnraWheel.style
+ * @param {number} [options.sectionCount] - number of sections without the back section (like section-count), by
+ *    default as many as there are sections in data
+ * @param {number|null} [options.startAngle=null] - where the first section starts, in degrees clockwise from the top
+ * @param {number} [options.sweepAngle=360] - how much of the circle the sections cover in degrees
+ * @param {'clockwise'|'counter-clockwise'} [options.direction='clockwise'] - direction sections are laid out in
+ * @param {'end'|'center'|'none'|number} [options.backPosition='end'] - where the back section is (see back-position)
+ * @param {string} [options.backText] - text shown in the back section
+ * @param {string} [options.backImage] - url/path to icon shown instead of the back arrow
+ * @param {number} [options.backWeight=1] - share of the wheel taken by the back section
+ * @param {'straight'|'curved'} [options.labelLayout='straight'] - how section texts are fitted (see label-layout)
+ * @param {number} [options.pointedIndex] - section index to draw the section pointer at
+ * @param {number} [options.size] - width and height of the svg in pixels; scales with its container if not set
+ * @returns {string} svg element markup
+ */
+export function renderUnraWheelSvg(data, options = {}) {
+   const style = structuredClone(DEFAULT_STYLE);
+   if (options.style !== undefined) mergeStyle(style, options.style);
 
-      // set contents
-      for (let i = 0; i < this.#sectionCount; i++) {
-         // last section is the back button
-         const isBackSection = i === this.#sectionCount - 1;
+   const direction = options.direction ?? 'clockwise';
+   if (direction !== 'clockwise' && direction !== 'counter-clockwise') {
+      throw new TypeError("[UnraWheel] Invalid options: direction must be 'clockwise' or 'counter-clockwise'");
+   }
+   const labelLayout = options.labelLayout ?? 'straight';
+   if (labelLayout !== 'straight' && labelLayout !== 'curved') {
+      throw new TypeError("[UnraWheel] Invalid options: labelLayout must be 'straight' or 'curved'");
+   }
 
-         // with static section count, there may be less items in data than there are sections.
-         // for these, we draw blanks
-         const isBlankSection = !isBackSection && i > this.#data.length - 1;
+   // levels with more sections than there's room for are split into pages, like on the element
+   const controller = new UnraWheelController(data, { sectionCount: options.sectionCount ?? null, backPosition: options.backPosition ?? 'end' });
+   const { sectionCount, backIndex, backPosition } = controller;
+   const getItem = (i) => controller.getItem(i);
 
-         const contentText = this.#elements.contentTexts[i];
-         const keyText = this.#elements.keyTexts[i];
-         const image = this.#elements.images[i];
-         const link = this.#elements.links[i];
-         const section = this.#elements.sections[i];
+   const arc = { startAngle: options.startAngle ?? null, sweepAngle: options.sweepAngle ?? 360, counterClockwise: direction === 'counter-clockwise', backIndex };
+   const weights = Array.from({ length: sectionCount }, (_, i) => (i === backIndex ? (options.backWeight ?? 1) : (getItem(i)?.weight ?? 1)));
+   const angles = getSectionAngles(arc, weights);
+   const keyDistance = getKeyDistance(sectionCount);
+   const viewBox = getViewBox(arc);
 
-         if (isBlankSection) {
-            contentText.textContent = '';
-            contentText.setAttribute('display', 'none');
+   const escape = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+   const attributes = (attrs) =>
+      Object.entries(attrs)
+         .map(([name, value]) => ` ${name}="${escape(value)}"`)
+         .join('');
+   const textAttributes = ({ color, size, font }) => ({ fill: color, 'font-size': size, 'font-family': font, 'text-anchor': 'middle', 'dominant-baseline': 'middle' });
+   const keyLabel = (key) => (/^(Key[A-Z]|Digit[0-9])$/.test(key) ? key.slice(-1).toLowerCase() : key);
+   const image = (href, x, y) => `<image${attributes({ href, x: x - style.image.width / 2, y: y - style.image.height / 2, width: style.image.width, height: style.image.height })}/>`;
+   const stroke = ({ color, width }) => ({ stroke: color, 'stroke-width': width });
 
-            keyText.textContent = '';
-            keyText.setAttribute('display', 'none');
+   // ids of label arcs are unique across renders, as several wheels may end up in one document
+   const idPrefix = `unrawheel-${++renderCount}`;
+   const keyText = (text, sectionAngles) => {
+      const { x, y, size } = getKeyLayout(text, sectionAngles, keyDistance, style.keyText);
+      return `<text${attributes({ x, y, ...textAttributes({ ...style.keyText, size }) })}>${escape(text)}</text>`;
+   };
+   const contentText = (text, index, position, hasImage) => {
+      const label = getLabelLayout(text, angles[index], position, { style: style.contentText, curved: labelLayout === 'curved', imageHeight: hasImage ? style.image.height : 0 });
+      const textAttrs = textAttributes({ ...style.contentText, size: label.size });
 
-            image.setAttribute('href', '');
-            image.setAttribute('display', 'none');
+      if (label.arc !== null) {
+         const id = `${idPrefix}-label-arc-${index}`;
+         const textPath = `<textPath${attributes({ href: `#${id}`, startOffset: '50%' })}>${escape(label.lines.join(' '))}</textPath>`;
+         return `<defs><path${attributes({ id, d: label.arc })}/></defs><text${attributes(textAttrs)}>${textPath}</text>`;
+      }
 
-            link.setAttribute('aria-label', '');
-            link.setAttribute('display', 'none');
+      const lines = label.lines.map((line, i) => {
+         const dy = i === 0 ? `${-(label.lines.length - 1) * 0.6}em` : '1.2em';
+         return `<tspan${attributes({ x: position.x, dy })}>${escape(line)}</tspan>`;
+      });
+      return `<text${attributes({ x: position.x, y: position.y, ...textAttrs })}>${lines.join('')}</text>`;
+   };
 
-            section.classList.add('section--empty');
+   const markup = [];
 
-            // ! early exit for blank sections
-            continue;
-         }
+   // background
+   if (arc.sweepAngle >= 360) {
+      markup.push(`<circle${attributes({ cx: 0, cy: 0, r: WHEEL_RADIUS, fill: style.background.color })}/>`);
+   } else {
+      const start = getArcStart(arc);
+      const end = start + ((arc.counterClockwise ? -1 : 1) * arc.sweepAngle * Math.PI) / 180;
+      markup.push(`<path${attributes({ d: getSectorPath(Math.min(start, end), Math.max(start, end)), fill: style.background.color })}/>`);
+   }
 
-         section.classList.remove('section--empty');
+   // sections and their contents
+   for (let i = 0; i < sectionCount; i++) {
+      const isBackSection = i === backIndex;
+      const item = getItem(i);
+      const isBlank = !isBackSection && item === undefined;
 
-         contentText.textContent = isBackSection ? '' : this.#data[i].text;
-         contentText.setAttribute('display', 'initial');
+      const fill = isBlank || item?.disabled ? '#666' : 'none';
+      markup.push(`<path${attributes({ d: getSectorPath(angles[i].startAngle, angles[i].endAngle), fill, ...stroke(style.section.stroke) })}/>`);
+      if (isBlank) continue;
 
-         keyText.textContent = isBackSection ? '' : this.#data[i].key !== undefined ? this.#data[i].key : this.indexToDefaultKey(i);
-         keyText.setAttribute('display', 'initial');
+      const positions = getContentPositions(angles[i], keyDistance, style.image.height);
+      const content = [];
+      if (isBackSection) {
+         if (options.backImage) content.push(image(options.backImage, positions.image.x, positions.image.y));
+         else content.push(`<polygon${attributes({ points: getBackArrowPoints(angles[i], 0.83), fill: style.backArrow.fillColor })}/>`);
+         if (options.backText) content.push(contentText(options.backText, i, positions.contentText, Boolean(options.backImage)));
+      } else {
+         // page sections are turned with their own keys, shown on the element as no key text either
+         const isPageSection = item === controller.nextPageItem || item === controller.previousPageItem;
+         if (item.image) content.push(image(item.image, positions.image.x, positions.image.y));
+         if (!isPageSection) content.push(keyText(keyLabel(item.key), angles[i]));
+         content.push(contentText(item.text, i, positions.contentText, Boolean(item.image)));
 
-         if (!isBackSection && this.#data[i].image) {
-            image.setAttribute('href', this.#data[i].image);
-            image.setAttribute('display', 'initial');
-         } else {
-            image.setAttribute('href', '');
-            image.setAttribute('display', 'none');
+         if (item.badge !== undefined) {
+            const text = String(item.badge);
+            const { width, height } = getBadgeSize(text, style.badge.size);
+            const { x, y } = positions.badge;
+            content.push(`<rect${attributes({ x: x - width / 2, y: y - height / 2, width, height, rx: height / 2, fill: style.badge.fillColor })}/>`);
+            content.push(`<text${attributes({ x, y, ...textAttributes(style.badge), 'dominant-baseline': 'central' })}>${escape(text)}</text>`);
          }
-
-         link.setAttribute('display', 'initial');
-
-         link.setAttribute('aria-label', isBackSection ? 'go back' : this.#data[i].text);
-         image.setAttribute('display', 'initial');
       }
+
+      markup.push(item?.disabled ? `<g opacity="0.4">${content.join('')}</g>` : content.join(''));
    }
 
-   attributeChangedCallback(name, _, newValue) {
-      if (name === 'data') this.setSections(newValue);
+   // section pointer
+   const pointed = angles[options.pointedIndex];
+   if (pointed !== undefined) {
+      markup.push(`<path${attributes({ d: getSectorPath(pointed.startAngle, pointed.endAngle), fill: 'none', 'stroke-linejoin': 'round', ...stroke(style.sectionPointer.stroke) })}/>`);
    }
 
-   disconnectedCallback() {
-      document.removeEventListener('keydown', this.#onKeyPress);
+   // center circle, with the back arrow or icon if back is in the center
+   markup.push(`<circle${attributes({ cx: 0, cy: 0, r: CENTER_RADIUS, fill: style.center.fillColor, ...stroke(style.center.stroke) })}/>`);
+   if (backPosition === 'center') {
+      const scale = 0.06;
+      if (options.backImage) markup.push(image(options.backImage, 0, 0));
+      else markup.push(`<polygon${attributes({ points: `${-scale / 2},0 ${scale / 2},${scale} ${scale / 2},${-scale}`, fill: style.backArrow.fillColor })}/>`);
    }
+
+   const size = options.size === undefined ? {} : { width: options.size, height: options.size };
+   const svgAttributes = attributes({ xmlns: 'http://www.w3.org/2000/svg', viewBox: `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`, ...size });
+   return `<svg${svgAttributes}>${markup.join('')}</svg>`;
 }
 
-customElements.define('unrawheel-v1', UnraWheel);
+if (globalThis.customElements) {
+   customElements.define('unrawheel-v1', UnraWheel);
+   customElements.define('unrawheel-item', UnraWheelItem);
+}